@@ -0,0 +1,88 @@
+/**
+ * In-memory stand-in for the few Redis commands the redis cache backend uses
+ * (GET, SET .. PX, DEL, SCAN .. MATCH .. COUNT, AUTH, SELECT, PING), for trying
+ * CACHE_BACKEND=redis without a Redis server:
+ *
+ *   node redis-standin.js [port]          (default 6379)
+ *   CACHE_BACKEND=redis REDIS_URL=redis://127.0.0.1:6379 node server.js
+ *
+ * One keyspace for every db; no persistence.
+ */
+import net from "net";
+
+const port = Number(process.argv[2] || 6379);
+const store = new Map(); // key -> { value, expiresAt }
+
+const simple = s => `+${s}\r\n`;
+const error = s => `-ERR ${s}\r\n`;
+const integer = n => `:${n}\r\n`;
+const bulk = s => s === null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+const array = items => `*${items.length}\r\n${items.join("")}`;
+
+/** One command array (`*n` of `$len` strings) from `buf` at `i` -> [args, nextIndex], or null when incomplete */
+function parseCommand(buf, i){
+  const line = at => { const nl = buf.indexOf("\r\n", at); return nl === -1 ? null : [buf.toString("utf8", at + 1, nl), nl + 2]; };
+  if (i >= buf.length) return null;
+  if (buf[i] !== 0x2a) throw new Error(`expected an array, got "${String.fromCharCode(buf[i])}"`);
+  let r = line(i); if (!r) return null;
+  const n = Number(r[0]); let next = r[1]; const args = [];
+  for (let k = 0; k < n; k++) {
+    r = line(next); if (!r) return null;
+    const len = Number(r[0]); next = r[1];
+    if (buf.length < next + len + 2) return null;
+    args.push(buf.toString("utf8", next, next + len)); next += len + 2;
+  }
+  return [args, next];
+}
+
+function live(key){
+  const e = store.get(key);
+  if (e && e.expiresAt && e.expiresAt <= Date.now()) { store.delete(key); return null; }
+  return e || null;
+}
+
+/** "prefix*" style MATCH patterns ("*" and "?"), as Redis globs them */
+function globMatch(pattern, key){
+  const src = pattern.split("").map(c => c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\]/g, "\\$&")).join("");
+  return new RegExp(`^${src}$`, "s").test(key);
+}
+
+function run([name = "", ...args]){
+  switch (name.toUpperCase()) {
+    case "PING": return simple("PONG");
+    case "AUTH": case "SELECT": return simple("OK");
+    case "GET": return bulk(live(args[0])?.value ?? null);
+    case "SET": {
+      const px = args.findIndex(a => a.toUpperCase() === "PX");
+      const ex = args.findIndex(a => a.toUpperCase() === "EX");
+      const ttl = px > 1 ? Number(args[px + 1]) : ex > 1 ? Number(args[ex + 1]) * 1000 : 0;
+      store.set(args[0], { value: args[1], expiresAt: ttl ? Date.now() + ttl : 0 });
+      return simple("OK");
+    }
+    case "DEL": return integer(args.filter(k => live(k) && store.delete(k)).length);
+    case "SCAN": {
+      const opt = o => { const i = args.findIndex(a => a.toUpperCase() === o); return i > 0 ? args[i + 1] : null; };
+      const match = opt("MATCH") || "*"; const count = Number(opt("COUNT") || 10);
+      const keys = [...store.keys()].filter(k => live(k));
+      const start = Number(args[0]) || 0;
+      const page = keys.slice(start, start + count);
+      const next = start + count >= keys.length ? "0" : String(start + count);
+      return array([bulk(next), array(page.filter(k => globMatch(match, k)).map(bulk))]);
+    }
+    default: return error(`unknown command '${name}'`);
+  }
+}
+
+net.createServer(sock => {
+  let buf = Buffer.alloc(0);
+  sock.on("data", chunk => {
+    buf = Buffer.concat([buf, chunk]);
+    try {
+      let r;
+      while ((r = parseCommand(buf, 0))) { buf = buf.subarray(r[1]); sock.write(run(r[0])); }
+    } catch (e) {
+      sock.end(error(`Protocol error: ${e.message}`));
+    }
+  });
+  sock.on("error", () => {});
+}).listen(port, () => console.log(`redis stand-in on :${port}`));
@@ -1,44 +1,175 @@
 import express from "express";
 import fetch from "node-fetch";
 import crypto from "crypto";
+import { readFileSync } from "fs";
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import readline from "readline";
 import { URL } from "url";
+import { parseArgs, promisify } from "util";
+import zlib from "zlib";
+import YAML from "yaml";
 
 const app = express();
 
 /* ========= CONFIG via ENV (HYBRID) =========
-Required:
+Required (unless TENANTS_CONFIG lists the shops):
   SHOP
   ADMIN_API_TOKEN
-  SHARED_SECRET
+  SHARED_SECRET      -> app secret; a comma list keeps older secrets valid while rotating
 Optional (recommended):
   STOREFRONT_TOKEN   -> enables fully localized fetch via Storefront API
+                        (without it the Admin API localizes titles/alt text through
+                        translations; needs read_translations and read_locales)
   SF_API_VERSION     -> default 2024-07
-  API_VERSION        -> default 2024-04
+  API_VERSION        -> default 2024-10 (Admin `articles`/`pages`, used for type=articles|pages
+                        without a Storefront token and for their failover, need 2024-10+)
   CACHE_TTL_SECONDS  -> default 900
   MAX_URLS_PER_FEED  -> default 5000
   DEFAULT_PER_PAGE   -> default 200
   HTTP_TIMEOUT_MS    -> default 12000
-  TRANS_CONCURRENCY  -> default 8
+  TRANS_CONCURRENCY  -> default 8 (parallel translation lookups / image HEAD checks)
   DISABLE_HMAC       -> "1" to bypass proxy HMAC (local testing only)
+  PROXY_MAX_SKEW_SECONDS -> default 300 (signed App Proxy requests whose `timestamp` is further
+                        off than this are refused; 0 = no check)
+  HREFLANG_HOSTS     -> comma list of host[:locale[:hreflang]] cross-linked as
+                        xhtml:link alternates in /image.xml (empty = off)
+  HREFLANG_X_DEFAULT -> host[:locale] used for x-default (default: first entry)
+  CACHE_BACKEND      -> memory | disk | redis (default memory)
+  CACHE_MAX_ENTRIES  -> memory LRU bound, default 500
+  CACHE_STALE_SECONDS -> serve expired entries this long while regenerating, default 86400
+  CACHE_DIR          -> disk backend directory, default .cache/sitemaps
+  REDIS_URL          -> redis://[user:pass@]host:port/db for the redis backend
+  REDIS_PREFIX       -> key prefix, default "image-sitemap:"
+                        (`node redis-standin.js [port]` serves the commands it uses, in memory)
+  ADMIN_TOKEN        -> enables /admin/*, /audit and the diagnostics (/echo, /proxy-self-test,
+                        /proxy-debug, /routing-debug) (x-admin-token header or ?token=)
+  METAOBJECT_TYPES   -> comma list of metaobject types; the first is the default
+                        ?metaobject_type= for type=metaobjects
+  INDEX_TYPES        -> types listed by /image-index.xml, default "products,collections"
+                        (also articles, pages, metaobjects:<type>)
+  DROP_BROKEN_IMAGES -> "1" to leave images the last /admin/images/check found broken out of
+                        /image.xml (per request: ?drop_broken=1|0)
+  GRAPHQL_MAX_RETRIES   -> default 4 (429 / 5xx / timeout / THROTTLED retries per GraphQL call)
+  GRAPHQL_RETRY_BASE_MS -> default 500 (first backoff; doubles per retry, Retry-After wins)
+  BREAKER_FAILURES   -> default 3 (failed calls in a row that stop using an API for a shop)
+  BREAKER_COOLDOWN_SECONDS -> default 60 (how long feeds use the other API before retrying)
+  PREWARM_INTERVAL_SECONDS -> regenerate every index and child page into the cache this often
+                        (default 0 = off; status and manual runs at /admin/prewarm)
+  PREWARM_HOSTS      -> comma list of hosts to pre-warm (default: literal tenant hosts and
+                        HREFLANG_HOSTS)
+  PREWARM_CONCURRENCY -> default 2 (pages regenerated in parallel)
+  GENERATION_CONCURRENCY -> default 4 (feed generations running at once; identical requests share one)
+  GENERATION_QUEUE   -> default 50 (requests waiting for a generation slot before answering 503)
+  GENERATION_RETRY_AFTER -> default 30 (Retry-After seconds on that 503)
+  BULK_POLL_SECONDS  -> default 5 (how often a running Admin bulk operation is polled;
+                        bulk catalog builds are started from POST /admin/bulk)
+  BULK_MAX_AGE_SECONDS -> default 3600 (how long unfiltered Admin reads of products/collections
+                        keep using the last bulk catalog; a products/collections webhook drops
+                        that type early; 0 = only the bulk build itself uses it)
+  EXCLUDE_HANDLES    -> comma list of product/collection handles or globs ("sample-*") left out of feeds
+  EXCLUDE_TAGS       -> comma list of product tags left out of feeds
+  EXCLUDE_GIFT_CARDS -> default "1" (gift card products left out of feeds)
+                        (items with the seo.hidden metafield set are always left out; with a
+                        Storefront token the hidden handles are read through Admin, cached for
+                        CACHE_TTL_SECONDS, since Storefront only sees metafields it has access to)
+  ROUTING_CONFIG     -> JSON/YAML file of host -> locale/URL-prefix/country rules
+                        (default: built-in rules, see DEFAULT_ROUTING)
+  METRICS_TOKEN      -> when set, /metrics needs "Authorization: Bearer <token>" (or ?token=)
+  TENANTS_CONFIG     -> JSON/YAML file of shops served by this proxy (see loadTenants);
+                        replaces SHOP/ADMIN_API_TOKEN/STOREFRONT_TOKEN/SHARED_SECRET/*API_VERSION
+
+Static export (same env, no server):
+  node server.js export --out dir/ [--host shop.example]... [--per-page 200] [--gzip]
+                        [--base-url https://cdn.example/sitemaps] [--bulk]
+  (--bulk reads products/collections through Admin bulk operations instead of paging)
+  writes <host>/image-index.xml, every /image.xml page it lists and manifest.json
 ============================================= */
 
+/**
+ * Rules are tried in order; the first whose `match` pattern fits the host wins.
+ *   match:         host patterns, "*" is a wildcard ("*.ch", "zh-cn.*", "shop.example.com")
+ *   defaultLocale: locale served at the root of the host
+ *   locales:       alternate locale -> URL path prefix ({ "fr": "/fr" })
+ *   country:       ISO country for Storefront @inContext and the hreflang region (optional)
+ *   image:         default image:loc options { width, height, crop, format, stripVersion } (optional)
+ * A config file holds { "rules": [...], "fallback": { defaultLocale, locales, country, image } }.
+ */
+const DEFAULT_ROUTING = {
+  rules: [
+    // --- Chinese (use script tags); TW currently serves Simplified too
+    { match: ["zh-cn.*", "*.cn"], defaultLocale: "zh-Hans" },
+    { match: ["zh-tw.*", "*.tw"], defaultLocale: "zh-Hans" },
+    { match: ["zh-hk.*", "*.hk"], defaultLocale: "zh-Hant" },
+    { match: ["zh-sg.*", "*.sg"], defaultLocale: "zh-Hans" },
+    // --- Single-language ccTLDs / subdomains
+    { match: ["*.fr"], defaultLocale: "fr" },
+    { match: ["*.it"], defaultLocale: "it" },
+    { match: ["*.jp"], defaultLocale: "ja" },
+    { match: ["ko.*"], defaultLocale: "ko" },
+    { match: ["ar.*"], defaultLocale: "ar" },
+    { match: ["iw.*"], defaultLocale: "he" }, // legacy "iw" → modern "he"
+    { match: ["*.nl"], defaultLocale: "nl" },
+    { match: ["*.ch"], defaultLocale: "de", locales: { fr: "/fr", it: "/it" } },
+    { match: ["*.dk"], defaultLocale: "da" },
+    { match: ["*.pt"], defaultLocale: "pt-PT" },
+    { match: ["*.pl"], defaultLocale: "pl" },
+    // Belgium: Dutch at the root, French under /fr
+    { match: ["*.be"], defaultLocale: "nl", locales: { fr: "/fr" } }
+  ],
+  fallback: { defaultLocale: "en" }
+};
+
 const SHOP = process.env.SHOP || "";
 const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
-const SHARED_SECRET = process.env.SHARED_SECRET || "";
+const SHARED_SECRETS = secretList(process.env.SHARED_SECRET);
 const STOREFRONT_TOKEN = process.env.STOREFRONT_TOKEN || "";
 const SF_API_VERSION = process.env.SF_API_VERSION || "2024-07";
 
-const API_VERSION = process.env.API_VERSION || "2024-04";
+const API_VERSION = process.env.API_VERSION || "2024-10";
 const CACHE_TTL_SECONDS = Number(process.env.CACHE_TTL_SECONDS || 900);
 const MAX_URLS_PER_FEED = Number(process.env.MAX_URLS_PER_FEED || 5000);
 const DEFAULT_PER_PAGE = Math.min(Number(process.env.DEFAULT_PER_PAGE || 200), MAX_URLS_PER_FEED);
 const HTTP_TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || 12000);
 const TRANS_CONCURRENCY = Math.max(1, Number(process.env.TRANS_CONCURRENCY || 8));
 const DISABLE_HMAC = String(process.env.DISABLE_HMAC || "0") === "1";
-
-const responseCache = new Map();
+const PROXY_MAX_SKEW_SECONDS = Math.max(0, Number(process.env.PROXY_MAX_SKEW_SECONDS ?? 300));
+const ROUTING = loadRoutingConfig(process.env.ROUTING_CONFIG);
+const TENANTS = loadTenants(process.env.TENANTS_CONFIG);
+const HREFLANG_HOSTS = parseHreflangHosts(process.env.HREFLANG_HOSTS);
+const HREFLANG_X_DEFAULT = parseHreflangHosts(process.env.HREFLANG_X_DEFAULT)[0] || HREFLANG_HOSTS[0] || null;
+const CACHE_BACKEND = String(process.env.CACHE_BACKEND || "memory").toLowerCase();
+const CACHE_MAX_ENTRIES = Math.max(1, Number(process.env.CACHE_MAX_ENTRIES || 500));
+const CACHE_STALE_SECONDS = Number(process.env.CACHE_STALE_SECONDS || 86400);
+const CACHE_DIR = process.env.CACHE_DIR || ".cache/sitemaps";
+const REDIS_URL = process.env.REDIS_URL || "";
+const REDIS_PREFIX = process.env.REDIS_PREFIX || "image-sitemap:";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const METAOBJECT_TYPES = String(process.env.METAOBJECT_TYPES || "").split(",").map(s => s.trim()).filter(Boolean);
+const DROP_BROKEN_IMAGES = String(process.env.DROP_BROKEN_IMAGES || "0") === "1";
+const EXCLUDE_HANDLES = String(process.env.EXCLUDE_HANDLES || "").split(",").map(s => s.trim()).filter(Boolean).map(globRegExp);
+const EXCLUDE_TAGS = String(process.env.EXCLUDE_TAGS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+const EXCLUDE_GIFT_CARDS = String(process.env.EXCLUDE_GIFT_CARDS || "1") === "1";
+const GRAPHQL_MAX_RETRIES = Math.max(0, Number(process.env.GRAPHQL_MAX_RETRIES || 4));
+const GRAPHQL_RETRY_BASE_MS = Math.max(1, Number(process.env.GRAPHQL_RETRY_BASE_MS || 500));
+const BREAKER_FAILURES = Math.max(1, Number(process.env.BREAKER_FAILURES || 3));
+const BREAKER_COOLDOWN_SECONDS = Math.max(1, Number(process.env.BREAKER_COOLDOWN_SECONDS || 60));
+const PREWARM_INTERVAL_SECONDS = Math.max(0, Number(process.env.PREWARM_INTERVAL_SECONDS || 0));
+const PREWARM_HOSTS = String(process.env.PREWARM_HOSTS || "").split(",").map(s => stripPort(s.trim()).toLowerCase()).filter(Boolean);
+const PREWARM_CONCURRENCY = Math.max(1, Number(process.env.PREWARM_CONCURRENCY || 2));
+const GENERATION_CONCURRENCY = Math.max(1, Number(process.env.GENERATION_CONCURRENCY || 4));
+const GENERATION_QUEUE = Math.max(0, Number(process.env.GENERATION_QUEUE ?? 50));
+const GENERATION_RETRY_AFTER = Math.max(1, Number(process.env.GENERATION_RETRY_AFTER || 30));
+// a streamed miss holds its output back until this much is generated (see xmlResponseStream)
+const STREAM_COMMIT_BYTES = 64 * 1024;
+const BULK_POLL_SECONDS = Math.max(1, Number(process.env.BULK_POLL_SECONDS || 5));
+const BULK_MAX_AGE_SECONDS = Math.max(0, Number(process.env.BULK_MAX_AGE_SECONDS ?? 3600));
+const INDEX_TYPES = String(process.env.INDEX_TYPES || "products,collections").split(",").map(s => s.trim()).filter(Boolean);
 
 function cacheKey(parts){return Object.entries(parts).map(([k,v])=>`${k}=${v}`).sort().join("|");}
+function parseCacheKey(key){return Object.fromEntries(String(key).split("|").map(kv=>{const i=kv.indexOf("=");return [kv.slice(0,i),kv.slice(i+1)];}));}
 function setXmlHeaders(res){res.set("Content-Type","application/xml; charset=utf-8");res.set("Cache-Control",`public, max-age=${CACHE_TTL_SECONDS}`);}
 function x(s=""){return String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;");}
 function stripPort(host){return (host||"").replace(/:.+$/,"");}
@@ -54,80 +185,304 @@ function preferHostImageUrl(originalUrl, host){
     return rebuilt?`https://${host}${rebuilt}`:originalUrl;
   }catch{return originalUrl;}
 }
+/** Shopify CDN resize/crop/re-encode params for a cdn.shopify.com or /cdn/shop/ image; `stripVersion` drops ?v= */
+function cdnImageUrl(originalUrl, { width, height, crop, format, stripVersion }={}){
+  try{
+    const u=new URL(originalUrl);
+    if(u.hostname!=="cdn.shopify.com" && !u.pathname.startsWith("/cdn/shop/")) return originalUrl;
+    if(stripVersion) u.searchParams.delete("v");
+    if(width) u.searchParams.set("width",String(width));
+    if(height) u.searchParams.set("height",String(height));
+    if(crop && width && height) u.searchParams.set("crop",crop);
+    if(format) u.searchParams.set("format",format);
+    return u.toString();
+  }catch{return originalUrl;}
+}
+function localePrefixForHost(host, locale){
+  const rule = resolveRouting(host);
+  if (!locale || locale === rule.defaultLocale) return "";
+  return rule.locales[locale] || "";
+}
 function pageUrlForProduct(host, handle, onlineStoreUrl, locale){
   const h = stripPort(host);
+  return `https://${h}${localePrefixForHost(h, locale)}/products/${handle}`;
+}
+function pageUrlForCollection(host, handle, locale){
+  const h=stripPort(host);
+  return `https://${h}${localePrefixForHost(h, locale)}/collections/${handle}`;
+}
+function pageUrlForArticle(host, blogHandle, handle, locale){
+  const h=stripPort(host);
+  return `https://${h}${localePrefixForHost(h, locale)}/blogs/${blogHandle}/${handle}`;
+}
+function pageUrlForPage(host, handle, locale){
+  const h=stripPort(host);
+  return `https://${h}${localePrefixForHost(h, locale)}/pages/${handle}`;
+}
+/** Metaobject web pages: the path Storefront reports, else Shopify's default /pages/<type>/<handle> */
+function pageUrlForMetaobject(host, type, handle, onlineStoreUrl, locale){
+  const h=stripPort(host);
+  let p=`/pages/${String(type).replace(/_/g,"-")}/${handle}`;
+  try{ if(onlineStoreUrl) p=new URL(onlineStoreUrl).pathname; }catch{}
+  return `https://${h}${localePrefixForHost(h, locale)}${p}`;
+}
+/** <img src alt> pairs from rich-text HTML (page bodies), absolute and de-duplicated */
+function imagesFromHtml(html, host){
+  const out=[]; const seen=new Set();
+  for(const m of String(html||"").matchAll(/<img\b[^>]*>/gi)){
+    const src=m[0].match(/\ssrc\s*=\s*["']([^"']+)["']/i)?.[1];
+    if(!src || src.startsWith("data:")) continue;
+    const alt=m[0].match(/\salt\s*=\s*["']([^"']*)["']/i)?.[1] || "";
+    const url=src.startsWith("//") ? `https:${src}` : src.startsWith("/") ? `https://${stripPort(host)}${src}` : src;
+    const decoded=url.replace(/&amp;/g,"&");
+    if(seen.has(decoded)) continue;
+    seen.add(decoded);
+    out.push({ url:decoded, altText:alt.replace(/&amp;/g,"&").replace(/&quot;/g,'"').replace(/&#39;/g,"'") });
+  }
+  return out;
+}
 
-  let localePrefix = "";
+/** Active secrets from a comma list, current one first */
+function secretList(value){
+  return String(value || "").split(",").map(v => v.trim()).filter(Boolean);
+}
 
-  // Switzerland
-  if (h.endsWith(".ch")) {
-    if (locale === "fr") localePrefix = "/fr";
-    if (locale === "it") localePrefix = "/it";
-  }
+/**
+ * App Proxy signing input as Shopify builds it: params sorted by name, a repeated param's values
+ * joined with ",", every `name=value` concatenated without separators. Read from the raw query
+ * string so bracketed or repeated names aren't reshaped by Express' parser.
+ */
+function proxySignedParams(req){
+  const params = new Map();
+  for (const [k, v] of new URLSearchParams(req.originalUrl.split("?")[1] || "")) params.set(k, [...(params.get(k) || []), v]);
+  const provided = String((params.get("signature") || params.get("sig") || [""])[0]).toLowerCase();
+  params.delete("signature"); params.delete("sig");
+  const payload = [...params.keys()].sort().map(k => `${k}=${params.get(k).join(",")}`).join("");
+  return { payload, provided, timestamp: params.get("timestamp")?.[0] };
+}
 
-  // Belgium
-  if (h.endsWith(".be")) {
-    if (locale === "fr") localePrefix = "/fr";
-    // Dutch remains root
+/**
+ * Check an App Proxy signature against each of the tenant's active secrets, then its `timestamp`
+ * against PROXY_MAX_SKEW_SECONDS so a leaked signed URL stops working.
+ * Returns { ok, reason, secretIndex, payload, provided, ageSeconds }.
+ */
+function checkProxySignature(req, tenant){
+  const { payload, provided, timestamp } = proxySignedParams(req);
+  const result = { ok: false, reason: null, secretIndex: -1, payload, provided, ageSeconds: null };
+  if (!tenant?.sharedSecrets?.length) return { ...result, reason: "no shared secret configured" };
+  if (!provided) return { ...result, reason: "missing signature" };
+  const given = Buffer.from(provided, "hex");
+  result.secretIndex = tenant.sharedSecrets.findIndex(secret => {
+    const expected = crypto.createHmac("sha256", secret).update(payload).digest();
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (result.secretIndex < 0) return { ...result, reason: "signature mismatch" };
+  if (PROXY_MAX_SKEW_SECONDS) {
+    if (!/^\d+$/.test(timestamp || "")) return { ...result, reason: "missing timestamp" };
+    result.ageSeconds = Math.round(Date.now() / 1000) - Number(timestamp);
+    if (Math.abs(result.ageSeconds) > PROXY_MAX_SKEW_SECONDS) return { ...result, reason: `timestamp ${result.ageSeconds}s off (max ${PROXY_MAX_SKEW_SECONDS}s)` };
   }
-
-  return `https://${h}${localePrefix}/products/${handle}`;
-}function pageUrlForCollection(host, handle){
-  const h=stripPort(host);
-  return `https://${h}/collections/${handle}`;
+  return { ...result, ok: true };
 }
 
-/** Shopify App Proxy HMAC verify */
-function verifyProxyHmac(req){
+/** Shopify App Proxy HMAC verify, with the tenant's active shared secrets */
+function verifyProxyHmac(req, tenant){
   if (DISABLE_HMAC) return true;
-  const query = { ...req.query };
-  const provided = (query.signature || query.sig || "").toString().toLowerCase();
-  delete query.signature; delete query.sig;
-  if (!SHARED_SECRET || !provided) return false;
-  const payload = Object.keys(query).sort().map(k => `${k}=${query[k]}`).join("");
-  const expected = crypto.createHmac("sha256", SHARED_SECRET).update(payload).digest("hex").toLowerCase();
-  try {
-    const a = Buffer.from(expected, "hex");
-    const b = Buffer.from(provided, "hex");
-    return a.length === b.length && crypto.timingSafeEqual(a, b);
-  } catch {
+  return checkProxySignature(req, tenant).ok;
+}
+
+/** Admin routes: ADMIN_TOKEN via x-admin-token header or ?token= */
+function ensureAdmin(req, res){
+  const a = Buffer.from(String(req.get("x-admin-token") || req.query.token || ""));
+  const b = Buffer.from(ADMIN_TOKEN);
+  if (!ADMIN_TOKEN || a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    res.status(403).type("text/plain").send("Forbidden");
     return false;
   }
+  return true;
+}
+
+/** Shopify webhook verify: base64 HMAC-SHA256 of the raw body with any active app secret */
+function verifyWebhookHmac(rawBody, provided, tenant){
+  if (DISABLE_HMAC) return true;
+  if (!tenant?.sharedSecrets?.length || !provided) return false;
+  const given = Buffer.from(String(provided), "base64");
+  return tenant.sharedSecrets.some(secret => {
+    const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
 }
 
 function getLocaleForHost(host, override) {
   // If caller forces a locale, respect it as-is (hreflang is case-insensitive anyway).
   if (override) return override;
+  return resolveRouting(host).defaultLocale;
+}
+
+/* ---------- Host routing (locale, URL prefixes, Storefront country) ---------- */
+
+/** "*"-wildcard pattern (hosts, handles) as an anchored RegExp over lowercase text */
+function globRegExp(pattern){
+  const src = String(pattern).toLowerCase().split("*").map(p => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${src}$`);
+}
+
+/** Validate a routing config and compile its patterns; throws listing every problem */
+function compileRouting(config, source){
+  const errors = [];
+  const rules = Array.isArray(config?.rules) ? config.rules : (errors.push("`rules` must be an array"), []);
+  const compileRule = (r, where, needsMatch) => {
+    const match = r?.match === undefined ? [] : [].concat(r.match);
+    if (needsMatch && (!match.length || match.some(m => typeof m !== "string" || !m))) errors.push(`${where}.match must be a host pattern or a list of them`);
+    if (typeof r?.defaultLocale !== "string" || !r.defaultLocale) errors.push(`${where}.defaultLocale must be a non-empty string`);
+    const locales = r?.locales ?? {};
+    if (typeof locales !== "object" || Array.isArray(locales)) errors.push(`${where}.locales must map locale -> URL prefix`);
+    else for (const [loc, prefix] of Object.entries(locales)) {
+      if (typeof prefix !== "string" || (prefix && !/^\/[^/?#]*[^/?#]$/.test(prefix))) errors.push(`${where}.locales.${loc} must be "" or a path like "/fr"`);
+    }
+    if (r?.country !== undefined && !/^[A-Z]{2}$/.test(String(r.country))) errors.push(`${where}.country must be an ISO 3166 alpha-2 code like "CH"`);
+    const image = parseImageOptions(r?.image || {}, field => errors.push(`${where}.image.${field} is invalid`));
+    return { match, patterns: match.map(globRegExp), defaultLocale: r?.defaultLocale, locales: { ...locales }, country: r?.country || null, image };
+  };
+  const compiled = rules.map((r, i) => compileRule(r, `rules[${i}]`, true));
+  const fallback = compileRule(config?.fallback ?? { defaultLocale: "en" }, "fallback", false);
+  if (errors.length) throw new Error(`Invalid routing config (${source}):\n  - ${errors.join("\n  - ")}`);
+  return { source, rules: compiled, fallback };
+}
+
+function loadRoutingConfig(file){
+  if (!file) return compileRouting(DEFAULT_ROUTING, "built-in");
+  const text = readFileSync(file, "utf8");
+  const config = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  return compileRouting(config, file);
+}
 
-  const h = (host || "").toLowerCase();
+/** Routing rule for a host (first match, else the fallback); a tenant's own rules replace the global ones */
+function resolveRouting(host){
+  const h = stripPort(host).toLowerCase();
+  const routing = tenantForHost(h)?.routing || ROUTING;
+  return routing.rules.find(r => r.patterns.some(p => p.test(h))) || routing.fallback;
+}
+
+/* ---------- Tenants (several shops behind one proxy) ---------- */
+
+/**
+ * TENANTS_CONFIG holds { "tenants": [{ shop, hosts, adminApiToken, storefrontToken, sharedSecret,
+ * apiVersion, sfApiVersion, routing }] }. `hosts` are patterns as in the routing config; `routing`
+ * ({ rules, fallback }) is optional. Secrets written as "env:NAME" are read from that variable;
+ * `sharedSecret` may be a list (or comma list) of active secrets, current one first.
+ * Without the file, SHOP/ADMIN_API_TOKEN/... form one tenant that answers for every host.
+ */
+function loadTenants(file){
+  if (!file) {
+    const tenant = { shop: SHOP, hosts: [], patterns: [], adminApiToken: ADMIN_API_TOKEN, storefrontToken: STOREFRONT_TOKEN,
+      sharedSecrets: SHARED_SECRETS, apiVersion: API_VERSION, sfApiVersion: SF_API_VERSION, routing: null };
+    return { source: "env", list: [tenant], fallback: tenant };
+  }
+  const text = readFileSync(file, "utf8");
+  const config = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  const errors = [];
+  const secret = (v, where) => {
+    const m = /^env:(.+)$/.exec(String(v ?? ""));
+    if (m && !process.env[m[1]]) errors.push(`${where} refers to unset env ${m[1]}`);
+    return m ? process.env[m[1]] || "" : String(v ?? "");
+  };
+  const tenants = Array.isArray(config?.tenants) ? config.tenants : (errors.push("`tenants` must be an array"), []);
+  const list = tenants.map((t, i) => {
+    const where = `tenants[${i}]`;
+    const shop = String(t?.shop || "").toLowerCase();
+    if (!/^[a-z0-9][a-z0-9.-]*(:\d+)?$/.test(shop)) errors.push(`${where}.shop must be a shop domain like "example.myshopify.com"`);
+    const hosts = t?.hosts === undefined ? [] : [].concat(t.hosts);
+    if (hosts.some(h => typeof h !== "string" || !h)) errors.push(`${where}.hosts must be host patterns`);
+    const adminApiToken = secret(t?.adminApiToken, `${where}.adminApiToken`);
+    const storefrontToken = secret(t?.storefrontToken, `${where}.storefrontToken`);
+    const sharedSecrets = [].concat(t?.sharedSecret ?? []).flatMap((v, k) => secretList(secret(v, `${where}.sharedSecret${Array.isArray(t.sharedSecret) ? `[${k}]` : ""}`)));
+    if (!adminApiToken && !storefrontToken) errors.push(`${where} needs adminApiToken or storefrontToken`);
+    if (!sharedSecrets.length && !DISABLE_HMAC) errors.push(`${where}.sharedSecret is required`);
+    let routing = null;
+    if (t?.routing) {
+      try { routing = compileRouting(t.routing, `${file} ${where}.routing`); } catch (e) { errors.push(e.message); }
+    }
+    return { shop, hosts, patterns: hosts.map(globRegExp), adminApiToken, storefrontToken, sharedSecrets,
+      apiVersion: String(t?.apiVersion || API_VERSION), sfApiVersion: String(t?.sfApiVersion || SF_API_VERSION), routing };
+  });
+  const seen = new Set();
+  for (const t of list) { if (seen.has(t.shop)) errors.push(`shop ${t.shop} is listed twice`); seen.add(t.shop); }
+  if (!list.length && !errors.length) errors.push("`tenants` is empty");
+  if (errors.length) throw new Error(`Invalid tenants config (${file}):\n  - ${errors.join("\n  - ")}`);
+  return { source: file, list, fallback: null };
+}
+
+function tenantForHost(host){
+  if (TENANTS.fallback) return TENANTS.fallback;
+  const h = stripPort(host || "").toLowerCase();
+  return TENANTS.list.find(t => t.patterns.some(p => p.test(h))) || null;
+}
+
+/** Tenant for a request: the App Proxy `shop` param, else the forwarded host */
+function tenantFor(req){
+  if (TENANTS.fallback) return TENANTS.fallback;
+  const shop = String(req.query.shop || "").toLowerCase();
+  if (shop) return TENANTS.list.find(t => t.shop === shop) || null;
+  return tenantForHost(req.get("x-forwarded-host") || req.get("host"));
+}
 
-  // --- Chinese (use script tags) ---
-  // You said TW currently serves Simplified too → map TW to zh-Hans for now.
-  if (h.startsWith("zh-cn.") || h.endsWith(".cn")) return "zh-Hans";      // Mainland content (Simplified)
-  if (h.startsWith("zh-tw.") || h.endsWith(".tw") || h.endsWith(".com.tw")) return "zh-Hans"; // TW but Simplified on your site
-  if (h.startsWith("zh-hk.") || h.endsWith(".hk") || h.endsWith(".com.hk")) return "zh-Hant";  // HK (Traditional)
-  if (h.startsWith("zh-sg.") || h.endsWith(".sg") || h.endsWith(".com.sg")) return "zh-Hans";  // SG (Simplified)
+/** Like ensureAdmin: the request's tenant, or null after answering 404 for an unknown shop */
+function ensureTenant(req, res){
+  const tenant = tenantFor(req);
+  if (!tenant) {
+    const who = req.query.shop ? `shop "${req.query.shop}"` : `host "${stripPort(req.get("x-forwarded-host") || req.get("host") || "")}"`;
+    res.status(404).type("text/plain").send(`Unknown shop: no tenant configured for ${who}`);
+  }
+  return tenant;
+}
 
-  // --- Single-language ccTLDs / subdomains ---
-  if (h.endsWith(".fr")) return "fr";
-  if (h.endsWith(".it")) return "it";
-  if (h.endsWith(".jp")) return "ja";
-  if (h.startsWith("ko.")) return "ko";
-  if (h.startsWith("ar.")) return "ar";
-  if (h.startsWith("iw.")) return "he"; // legacy "iw" → modern "he"
-  if (h.endsWith(".nl")) return "nl";
-  if (h.endsWith(".ch")) return "de";   // default Swiss to German; adjust if you add fr/it locales
-  if (h.endsWith(".dk")) return "da";
-  if (h.endsWith(".pt")) return "pt-PT";
-  if (h.endsWith(".pl")) return "pl";
+/* ---------- hreflang alternates ---------- */
 
-  return "en";
+/** hreflang for a host/locale pair: the locale, plus the routing country (else the ccTLD or zh-xx subdomain) */
+function hreflangFor(host, locale){
+  const h = stripPort(host).toLowerCase();
+  if (/-[A-Za-z]{2}$/.test(locale)) return locale; // already regional (pt-PT)
+  const country = resolveRouting(h).country;
+  if (country) return `${locale}-${country}`;
+  const sub = h.match(/^zh-(cn|tw|hk|sg)\./);
+  const tld = h.split(".").pop();
+  const region = sub ? sub[1] : (/^[a-z]{2}$/.test(tld) ? (tld === "uk" ? "gb" : tld) : "");
+  return region ? `${locale}-${region.toUpperCase()}` : locale;
+}
+function parseHreflangHosts(raw){
+  return String(raw || "").split(",").map(s => s.trim()).filter(Boolean).map(entry => {
+    const [host, locale, hreflang] = entry.split(":").map(s => s.trim());
+    const loc = locale || getLocaleForHost(host);
+    return { host: host.toLowerCase(), locale: loc, hreflang: hreflang || hreflangFor(host, loc) };
+  });
+}
+/**
+ * Alternates for one page across every configured host/locale pair, plus x-default.
+ * `buildUrl(host, locale)` is pageUrlForProduct/pageUrlForCollection bound to the handle.
+ * The requesting host/locale is always included so each page references itself.
+ */
+function alternatesFor(buildUrl, host, locale){
+  if (!HREFLANG_HOSTS.length) return [];
+  const pairs = HREFLANG_HOSTS.some(a => a.host === host && a.locale === locale)
+    ? HREFLANG_HOSTS
+    : [{ host, locale, hreflang: hreflangFor(host, locale) }, ...HREFLANG_HOSTS];
+  const seen = new Set(); const out = [];
+  for (const a of pairs) {
+    if (seen.has(a.hreflang.toLowerCase())) continue;
+    seen.add(a.hreflang.toLowerCase());
+    out.push({ hreflang: a.hreflang, href: buildUrl(a.host, a.locale) });
+  }
+  if (HREFLANG_X_DEFAULT) out.push({ hreflang: "x-default", href: buildUrl(HREFLANG_X_DEFAULT.host, HREFLANG_X_DEFAULT.locale) });
+  return out;
 }
 
 function numericIdFromGid(gid){ if(!gid) return null; const parts=String(gid).split("/"); return parts.length?parts[parts.length-1]:null; }
 async function timedFetch(url, opts={}, timeoutMs=HTTP_TIMEOUT_MS){
   const c=new AbortController(); const t=setTimeout(()=>c.abort(),timeoutMs);
-  try{return await fetch(url,{...opts,signal:c.signal});} finally{clearTimeout(t);}
+  const outer=opts.signal; const onAbort=()=>c.abort();
+  outer?.addEventListener("abort", onAbort);
+  try{return await fetch(url,{...opts,signal:c.signal});} finally{clearTimeout(t); outer?.removeEventListener("abort", onAbort);}
 }
 async function pMap(items, limit, mapper){
   const ret=[]; const running=[];
@@ -141,98 +496,891 @@ async function pMap(items, limit, mapper){
   return Promise.all(ret);
 }
 
-/* ---------- Storefront API (localized) — FIXED PAGINATION ---------- */
+/* ---------- Metrics (Prometheus text format, served at /metrics) ---------- */
+
+const metricFamilies = [];
+const labelKey = labels => JSON.stringify(Object.entries(labels).sort());
+const labelText = pairs => pairs.length
+  ? `{${pairs.map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`).join(",")}}`
+  : "";
+
+/** Counter or gauge: `inc(labels, n)` / `dec(labels, n)`; series are created on first use */
+function metric(name, type, help){
+  const series = new Map();
+  const add = (labels={}, n=1) => {
+    const key = labelKey(labels);
+    series.set(key, (series.get(key) || 0) + n);
+  };
+  metricFamilies.push({ name, type, help, render: () =>
+    [...series].map(([key, v]) => `${name}${labelText(JSON.parse(key))} ${v}`) });
+  return { inc: add, dec: (labels={}, n=1) => add(labels, -n) };
+}
+/** Histogram with cumulative `le` buckets (seconds) */
+function histogram(name, help, buckets){
+  const series = new Map();
+  metricFamilies.push({ name, type: "histogram", help, render: () => [...series].flatMap(([key, h]) => {
+    const pairs = JSON.parse(key);
+    return [
+      ...buckets.map((le, i) => `${name}_bucket${labelText([...pairs, ["le", le]])} ${h.counts[i]}`),
+      `${name}_bucket${labelText([...pairs, ["le", "+Inf"]])} ${h.count}`,
+      `${name}_sum${labelText(pairs)} ${h.sum}`,
+      `${name}_count${labelText(pairs)} ${h.count}`
+    ];
+  }) });
+  return { observe(labels, value){
+    const key = labelKey(labels);
+    if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+    const h = series.get(key);
+    buckets.forEach((le, i) => { if (value <= le) h.counts[i]++; });
+    h.sum += value; h.count++;
+  } };
+}
+
+const httpRequests = metric("sitemap_http_requests_total", "counter", "HTTP requests by route and status code; aborted=\"true\" when the response never completed");
+const cacheLookups = metric("sitemap_cache_lookups_total", "counter", "Feed response cache lookups by result (hit, stale, miss)");
+const cacheErrors = metric("sitemap_cache_errors_total", "counter", "Response cache backend errors by operation");
+const feedItems = metric("sitemap_feed_items_total", "counter", "<url> entries generated per feed and type");
+const feedSources = metric("sitemap_feed_source_total", "counter", "Completed feed generations by the API(s) that served them and whether one was a fallback");
+const feedExcluded = metric("sitemap_feed_excluded_total", "counter", "Products/collections left out of completed feed generations, by reason");
+const feedErrors = metric("sitemap_feed_errors_total", "counter", "Feed generations that failed, by route");
+const generationsInFlight = metric("sitemap_generations_in_flight", "gauge", "Feed generations currently running, by trigger");
+const coalescedRequests = metric("sitemap_coalesced_requests_total", "counter", "Cache misses served by waiting on an identical in-flight generation");
+const rejectedRequests = metric("sitemap_generation_rejected_total", "counter", "Cache misses answered 503 because the generation queue was full");
+const shopifyCalls = metric("shopify_graphql_requests_total", "counter", "Shopify GraphQL calls by API and outcome (after retries)");
+const shopifyRetries = metric("shopify_graphql_retries_total", "counter", "Shopify GraphQL attempts retried after 429/5xx/timeouts/THROTTLED");
+const shopifyLatency = histogram("shopify_graphql_request_duration_seconds", "Shopify GraphQL call duration, retries and throttle waits included",
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+/** Run `generate` counted in sitemap_generations_in_flight under `trigger` (request, revalidate, prewarm) */
+async function tracked(trigger, generate){
+  generationsInFlight.inc({ trigger });
+  try { return await generate(); }
+  finally { generationsInFlight.dec({ trigger }); }
+}
+
+function metricsText(){
+  return metricFamilies.map(f =>
+    [`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...f.render()].join("\n")).join("\n") + "\n";
+}
+
+/** Route label: the matched route pattern, so per-page query strings don't explode the series */
+function routeLabel(req){
+  return req.route ? [].concat(req.route.path)[0] : "unmatched";
+}
+app.use((req, res, next) => {
+  // "close" also fires for responses that never finish: a stream cut with res.destroy(), a client gone
+  res.on("close", () => httpRequests.inc({ route: routeLabel(req), method: req.method, status: res.statusCode, aborted: String(!res.writableFinished) }));
+  next();
+});
+
+/* ---------- Response cache (memory LRU | disk | redis) ---------- */
+
+// Entries are { body, expiresAt, staleUntil }. Past expiresAt an entry is still served
+// (stale-while-revalidate) until staleUntil, while a background regeneration replaces it.
+
+function createMemoryCache(maxEntries){
+  const map=new Map();
+  return {
+    name:"memory",
+    async get(key){
+      const e=map.get(key); if(!e) return null;
+      if(e.staleUntil<=Date.now()){ map.delete(key); return null; }
+      map.delete(key); map.set(key,e); // LRU touch
+      return e;
+    },
+    async set(key, entry){
+      map.delete(key); map.set(key, entry);
+      while(map.size>maxEntries) map.delete(map.keys().next().value);
+    },
+    async delete(key){ return map.delete(key); },
+    async keys(){ return [...map.keys()]; }
+  };
+}
+
+function createDiskCache(dir){
+  const idFor=key=>crypto.createHash("sha256").update(key).digest("hex");
+  const fileFor=key=>path.join(dir, idFor(key)+".json");
+  // <id>.key holds { key, staleUntil } so keys() never has to read the bodies
+  const indexFor=key=>path.join(dir, idFor(key)+".key");
+  const ready=fs.mkdir(dir,{ recursive:true });
+  async function read(file){
+    try{ return JSON.parse(await fs.readFile(file,"utf8")); }
+    catch(e){ if(e.code==="ENOENT") return null; throw e; }
+  }
+  async function write(file, data){
+    const tmp=`${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+  const remove=key=>Promise.all([fs.rm(fileFor(key),{ force:true }), fs.rm(indexFor(key),{ force:true })]);
+  return {
+    name:"disk",
+    async get(key){
+      await ready;
+      const e=await read(fileFor(key));
+      if(!e || e.key!==key) return null;
+      if(e.staleUntil<=Date.now()){ await remove(key); return null; }
+      return e;
+    },
+    async set(key, entry){
+      await ready;
+      await write(fileFor(key), { key, ...entry });
+      await write(indexFor(key), { key, staleUntil: entry.staleUntil });
+    },
+    async delete(key){
+      await ready;
+      const had=!!(await read(fileFor(key)));
+      await remove(key);
+      return had;
+    },
+    async keys(){
+      await ready;
+      const out=[]; const now=Date.now();
+      for(const name of await fs.readdir(dir)){
+        if(!name.endsWith(".key")) continue;
+        const e=await read(path.join(dir,name)).catch(()=>null);
+        if(!e?.key) continue;
+        if(e.staleUntil<=now){ await remove(e.key); continue; }
+        out.push(e.key);
+      }
+      return out;
+    }
+  };
+}
+
+/** Parse one RESP value from `buf` at `i` -> [value, nextIndex], or null when incomplete */
+function parseResp(buf, i=0){
+  const nl=buf.indexOf("\r\n", i); if(nl===-1) return null;
+  const type=String.fromCharCode(buf[i]); const line=buf.toString("utf8", i+1, nl); let next=nl+2;
+  if(type==="+") return [line, next];
+  if(type==="-") return [{ error:line }, next];
+  if(type===":") return [Number(line), next];
+  if(type==="$"){
+    const len=Number(line); if(len<0) return [null, next];
+    if(buf.length<next+len+2) return null;
+    return [buf.toString("utf8", next, next+len), next+len+2];
+  }
+  if(type==="*"){
+    const n=Number(line); if(n<0) return [null, next];
+    const arr=[];
+    for(let k=0;k<n;k++){ const r=parseResp(buf, next); if(!r) return null; arr.push(r[0]); next=r[1]; }
+    return [arr, next];
+  }
+  throw new Error(`Redis protocol error: unexpected type "${type}"`);
+}
+function encodeResp(args){
+  const parts=[Buffer.from(`*${args.length}\r\n`)];
+  for(const a of args){ const b=Buffer.from(String(a)); parts.push(Buffer.from(`$${b.length}\r\n`), b, Buffer.from("\r\n")); }
+  return Buffer.concat(parts);
+}
+
+/** Minimal RESP client: one lazily (re)connected socket, replies matched to commands in order */
+function createRedisCache(redisUrl, prefix){
+  const u=new URL(redisUrl);
+  const password=decodeURIComponent(u.password||""); const db=Number(u.pathname.slice(1)||0);
+  let sock=null; let buf=Buffer.alloc(0); const pending=[];
+
+  function fail(err){ sock=null; buf=Buffer.alloc(0); while(pending.length) pending.shift().reject(err); }
+  function connect(){
+    const s=net.createConnection({ host:u.hostname||"127.0.0.1", port:Number(u.port||6379) });
+    sock=s;
+    s.setTimeout(HTTP_TIMEOUT_MS, ()=>s.destroy(new Error("Redis timeout")));
+    s.on("data", chunk=>{
+      buf=Buffer.concat([buf, chunk]);
+      let r;
+      while(pending.length && (r=parseResp(buf))){
+        buf=buf.subarray(r[1]);
+        const p=pending.shift();
+        if(r[0]?.error) p.reject(new Error(`Redis: ${r[0].error}`)); else p.resolve(r[0]);
+      }
+    });
+    // only the current socket may fail the queue; a late "close" from a replaced one is ignored
+    s.on("error", err=>{ if(sock===s) fail(err); });
+    s.on("close", ()=>{ if(sock===s) fail(new Error("Redis connection closed")); });
+    if(password) send(u.username?["AUTH", decodeURIComponent(u.username), password]:["AUTH", password]).catch(()=>{});
+    if(db) send(["SELECT", db]).catch(()=>{});
+  }
+  function send(args){
+    return new Promise((resolve, reject)=>{ pending.push({ resolve, reject }); sock.write(encodeResp(args)); });
+  }
+  function command(...args){ if(!sock) connect(); return send(args); }
+
+  return {
+    name:"redis",
+    async get(key){ const raw=await command("GET", prefix+key); return raw?JSON.parse(raw):null; },
+    async set(key, entry){
+      const ttlMs=Math.max(1, entry.staleUntil-Date.now());
+      await command("SET", prefix+key, JSON.stringify(entry), "PX", ttlMs);
+    },
+    async delete(key){ return (await command("DEL", prefix+key))>0; },
+    async keys(){
+      const out=[]; let cursor="0";
+      do{
+        const [next, batch]=await command("SCAN", cursor, "MATCH", `${prefix}*`, "COUNT", 500);
+        cursor=next; for(const k of batch) out.push(k.slice(prefix.length));
+      }while(cursor!=="0");
+      return out;
+    }
+  };
+}
+
+function createCache(backend){
+  if(backend==="disk") return createDiskCache(CACHE_DIR);
+  if(backend==="redis"){
+    if(!REDIS_URL) throw new Error("CACHE_BACKEND=redis requires REDIS_URL");
+    return createRedisCache(REDIS_URL, REDIS_PREFIX);
+  }
+  if(backend!=="memory") throw new Error(`Unknown CACHE_BACKEND "${backend}" (memory|disk|redis)`);
+  return createMemoryCache(CACHE_MAX_ENTRIES);
+}
+
+const responseCache = createCache(CACHE_BACKEND);
+// cache key -> Promise of the entry being generated (null if it was abandoned); one generation per key
+const generations = new Map();
+// Generations holding one of the GENERATION_CONCURRENCY slots, and the callbacks waiting for one
+let generationsRunning = 0;
+const generationQueue = [];
+const gzip = promisify(zlib.gzip);
+
+function etagFor(body){ return `"${crypto.createHash("sha1").update(body).digest("hex")}"`; }
+/** Newest <lastmod> in a feed or index, as an HTTP date (null when none) */
+function lastModifiedFor(body){
+  let newest=0;
+  for(const m of String(body).matchAll(/<lastmod>([^<]+)<\/lastmod>/g)){ const t=Date.parse(m[1]); if(t>newest) newest=t; }
+  return newest?new Date(newest).toUTCString():null;
+}
+function cacheEntry(body, { excluded, source }={}){
+  const now=Date.now();
+  return {
+    body, etag: etagFor(body), lastModified: lastModifiedFor(body), excluded: excluded || {}, source: source || null,
+    expiresAt: now + CACHE_TTL_SECONDS*1000, staleUntil: now + (CACHE_TTL_SECONDS+CACHE_STALE_SECONDS)*1000
+  };
+}
+/** Cache reads/writes never fail a request: a broken backend degrades to regenerating */
+async function cacheGet(key){
+  try{ return await responseCache.get(key); }
+  catch(e){ console.error(`[cache:${responseCache.name}] get`, e.message); cacheErrors.inc({ backend: responseCache.name, op: "get" }); return null; }
+}
+/** `meta` is the feed output: its exclusion counts and source go into the entry (and /metrics) */
+async function cacheSet(key, body, meta){
+  const entry=cacheEntry(body, meta);
+  for(const [reason, n] of Object.entries(entry.excluded)) feedExcluded.inc({ reason }, n);
+  if(entry.source?.apis.length) feedSources.inc({ api: entry.source.apis.map(a=>SOURCE_NAMES[a]).join("+"), failover: String(entry.source.failover) });
+  try{ await responseCache.set(key, entry); }
+  catch(e){ console.error(`[cache:${responseCache.name}] set`, e.message); cacheErrors.inc({ backend: responseCache.name, op: "set" }); }
+  return entry;
+}
+
+/** Run `fn` in a generation slot, waiting in line while GENERATION_CONCURRENCY are taken */
+async function withGenerationSlot(fn){
+  if(generationsRunning>=GENERATION_CONCURRENCY) await new Promise(resolve=>generationQueue.push(resolve));
+  else generationsRunning++;
+  try{ return await fn(); }
+  finally{
+    const next=generationQueue.shift();
+    if(next) next(); // hand the slot straight over
+    else generationsRunning--;
+  }
+}
+/** Whether a request may start or queue a generation; past GENERATION_QUEUE it gets a 503 */
+function generationSlotAvailable(){
+  return generationsRunning<GENERATION_CONCURRENCY || generationQueue.length<GENERATION_QUEUE;
+}
+/** Register `flight` (resolving to the cache entry, or null) as the one generation of `key` */
+function singleFlight(key, flight){
+  const shared=flight.catch(()=>null);
+  generations.set(key, shared);
+  shared.finally(()=>{ if(generations.get(key)===shared) generations.delete(key); });
+  return flight;
+}
+
+function revalidate(key, generate){
+  if(generations.has(key)) return;
+  const out=xmlCollector();
+  singleFlight(key, withGenerationSlot(()=>tracked("revalidate", ()=>generate(out))).then(body=>cacheSet(key, body, out)))
+    .catch(e=>console.error("[revalidate]", key, e));
+}
+
+/**
+ * Send a cache entry with a strong ETag and Last-Modified, answering conditional GETs with 304.
+ * `.xml.gz` paths get a gzip file; otherwise gzip is negotiated through Accept-Encoding.
+ */
+async function sendXmlEntry(req, res, entry){
+  const gzFile = req.path.endsWith(".gz");
+  const gzEncoded = !gzFile && req.acceptsEncodings("gzip", "identity") === "gzip";
+  const etag = entry.etag || etagFor(entry.body);
+
+  setXmlHeaders(res);
+  res.set("Vary","Accept-Encoding");
+  // each representation needs its own strong validator
+  res.set("ETag", gzFile||gzEncoded ? etag.replace(/"$/,'-gz"') : etag);
+  const lastModified = entry.lastModified !== undefined ? entry.lastModified : lastModifiedFor(entry.body);
+  if(lastModified) res.set("Last-Modified", lastModified);
+  const excluded = excludedHeader(entry.excluded);
+  if(excluded) res.set("X-Sitemap-Excluded", excluded);
+  const source = sourceHeader(entry.source);
+  if(source) res.set("X-Sitemap-Source", source);
+  if(req.fresh) return res.status(304).end();
+
+  if(!gzFile && !gzEncoded) return res.status(200).send(entry.body);
+  const gz = await gzip(entry.body);
+  if(gzFile) res.set("Content-Type","application/gzip");
+  else res.set("Content-Encoding","gzip");
+  return res.status(200).send(gz);
+}
 
-async function sfGraphQL(query, variables, acceptLanguage){
-  const resp = await timedFetch(`https://${SHOP}/api/${SF_API_VERSION}/graphql.json`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Shopify-Storefront-Access-Token": STOREFRONT_TOKEN,
-      ...(acceptLanguage ? { "Accept-Language": acceptLanguage } : {})
+/**
+ * Feed output that streams to `res` as URL nodes are generated (gzip when negotiated or for
+ * `.xml.gz`) and keeps the text for the cache. A client disconnect aborts `signal`.
+ * Nothing goes out until STREAM_COMMIT_BYTES have been generated: a failure before that still
+ * gets a 500, and a feed that finishes inside the buffer (`committed` stays false) is left to
+ * the caller to send whole, with its ETag and Last-Modified. A committed stream carries
+ * X-Sitemap-Source as far as it is settled then; exclusions and a later failover follow as trailers.
+ */
+function xmlResponseStream(req, res){
+  const ac=new AbortController();
+  res.on("close", ()=>{ if(!res.writableFinished) ac.abort(); });
+
+  const gzFile = req.path.endsWith(".gz");
+  const gz = gzFile || req.acceptsEncodings("gzip", "identity") === "gzip";
+  let sink=null; let held=0; let sentSource="";
+  const commit=()=>{
+    setXmlHeaders(res);
+    res.set("Vary","Accept-Encoding");
+    res.set("X-Cache","MISS");
+    if(gzFile) res.set("Content-Type","application/gzip");
+    else if(gz) res.set("Content-Encoding","gzip");
+    res.status(200);
+    sentSource=sourceHeader(source); // the APIs settled so far; a later failover is added as a trailer
+    if(sentSource) res.set("X-Sitemap-Source", sentSource);
+    res.set("Trailer","X-Sitemap-Excluded, X-Sitemap-Source"); // only known once the walk is done
+    sink = gz ? zlib.createGzip() : res;
+    if(gz) sink.pipe(res);
+    const ok = sink.write(parts.join(""));
+    if(gz) sink.flush(); // get what was held back to the client right away
+    return ok;
+  };
+
+  const parts=[]; const excluded={}; const source={ apis:[], failover:false };
+  const drained = ()=>new Promise(resolve=>{
+    const done=()=>{ sink.off("drain", done); ac.signal.removeEventListener("abort", done); resolve(); };
+    sink.on("drain", done); ac.signal.addEventListener("abort", done);
+  });
+  return {
+    signal: ac.signal,
+    excluded, source,
+    get committed(){ return !!sink; },
+    exclude(_type, _handle, reason){ excluded[reason]=(excluded[reason]||0)+1; },
+    served(api, failover){ recordSource(source, api, failover); },
+    async write(chunk){
+      ac.signal.throwIfAborted();
+      parts.push(chunk);
+      let ok=true;
+      if(sink) ok=sink.write(chunk);
+      else if((held+=Buffer.byteLength(chunk))>=STREAM_COMMIT_BYTES) ok=commit();
+      if(!ok) await drained();
     },
-    body: JSON.stringify({ query, variables })
+    end(){
+      if(!sink) return;
+      const header=excludedHeader(excluded);
+      const final=sourceHeader(source);
+      const served=final!==sentSource ? final : "";
+      if(header || served) res.addTrailers({ ...(header ? { "X-Sitemap-Excluded": header } : {}), ...(served ? { "X-Sitemap-Source": served } : {}) });
+      sink.end();
+    },
+    body:()=>parts.join("")
+  };
+}
+
+/**
+ * Send the cached body for `key`; regenerate on a miss, or in the background when stale.
+ * With `stream`, a miss is written out while `generate(out)` runs and cached once complete;
+ * only a miss past STREAM_COMMIT_BYTES goes out without ETag/Last-Modified.
+ * A miss while the same key is already generating waits for that run (X-Cache: COALESCED);
+ * with every slot taken and GENERATION_QUEUE requests waiting, it gets 503 + Retry-After.
+ */
+async function sendCachedXml(req, res, key, generate, { stream=false }={}){
+  const hit=await cacheGet(key);
+  const backend=responseCache.name;
+  if(hit && hit.expiresAt>Date.now()){ cacheLookups.inc({ backend, result:"hit" }); res.set("X-Cache","HIT"); return sendXmlEntry(req, res, hit); }
+  if(hit){ cacheLookups.inc({ backend, result:"stale" }); revalidate(key, generate); res.set("X-Cache","STALE"); return sendXmlEntry(req, res, hit); }
+  cacheLookups.inc({ backend, result:"miss" });
+  return generateAndSend(req, res, key, generate, stream);
+}
+
+async function generateAndSend(req, res, key, generate, stream){
+  const running=generations.get(key);
+  if(running){
+    const entry=await running;
+    // the run we waited on was abandoned (its client went away, or it failed): start our own
+    if(!entry) return generateAndSend(req, res, key, generate, stream);
+    coalescedRequests.inc();
+    res.set("X-Cache","COALESCED");
+    return sendXmlEntry(req, res, entry);
+  }
+  if(!generationSlotAvailable()){
+    rejectedRequests.inc();
+    res.set("Retry-After", String(GENERATION_RETRY_AFTER));
+    return res.status(503).type("text/plain").send("Sitemap generation busy, retry later");
+  }
+
+  if(!stream){
+    const collected=xmlCollector();
+    const entry=await singleFlight(key, withGenerationSlot(async ()=>
+      cacheSet(key, await tracked("request", ()=>generate(collected)), collected)));
+    res.set("X-Cache","MISS");
+    return sendXmlEntry(req, res, entry);
+  }
+
+  const out=xmlResponseStream(req, res);
+  const entry=await singleFlight(key, withGenerationSlot(async ()=>{
+    try{
+      const body=await tracked("request", ()=>generate(out));
+      out.end();
+      return await cacheSet(key, body, out);
+    }catch(e){
+      if(out.signal.aborted) return null; // client went away mid-stream; nothing complete to cache
+      if(!out.committed) throw e; // nothing sent yet: the route still answers 500
+      // the 200 status is already on the wire: cut the connection so a partial sitemap is never accepted
+      console.error(e);
+      feedErrors.inc({ route: routeLabel(req) });
+      res.destroy();
+      return null;
+    }
+  }));
+  if(entry && !out.committed){ res.set("X-Cache","MISS"); return sendXmlEntry(req, res, entry); }
+  return entry;
+}
+
+/* ---------- Cursor checkpoints ---------- */
+
+// cacheKey({api,shop,type,locale,perPage}) -> { expiresAt, cursors: Map(itemsConsumed -> cursor) }
+// Page-boundary cursors let deep pages start from `after` instead of re-walking the catalog.
+// A bucket lives as long as a cached response, so checkpoints never outlast the data they index.
+const cursorCheckpoints = new Map();
+
+function checkpointBucket(scope, perPage){
+  const now=Date.now();
+  for(const [k,b] of cursorCheckpoints) if(b.expiresAt<=now) cursorCheckpoints.delete(k);
+  const key=cacheKey({...scope, perPage});
+  let bucket=cursorCheckpoints.get(key);
+  if(!bucket){ bucket={ expiresAt: now + CACHE_TTL_SECONDS*1000, cursors: new Map() }; cursorCheckpoints.set(key,bucket); }
+  return bucket;
+}
+/** Furthest checkpoint at or before `offset` as { skipped, after } */
+function checkpointStart(bucket, offset){
+  let best={ skipped:0, after:null };
+  if(!bucket) return best;
+  for(const [at,cursor] of bucket.cursors) if(at<=offset && at>best.skipped) best={ skipped:at, after:cursor };
+  return best;
+}
+function recordCheckpoint(bucket, perPage, consumed, cursor){
+  if(bucket && consumed>0 && consumed%perPage===0) bucket.cursors.set(consumed, cursor);
+}
+
+/* ---------- Product filters (vendor / product type / tag / collection) ---------- */
+
+/** { vendor, productType, tags, collection } from ?vendor=&product_type=&tag=&collection= (tag may repeat), or null */
+function productFilters(q){
+  const one = v => String([].concat(v ?? "")[0] || "").trim();
+  const filters = {
+    vendor: one(q.vendor),
+    productType: one(q.product_type),
+    tags: [].concat(q.tag ?? []).map(t => String(t).trim()).filter(Boolean),
+    collection: one(q.collection)
+  };
+  return filters.vendor || filters.productType || filters.tags.length || filters.collection ? filters : null;
+}
+
+/** Stable text form for cache keys, checkpoint scopes and index links */
+function productFilterKey(f){
+  if (!f) return "";
+  return [f.vendor && `vendor:${f.vendor}`, f.productType && `product_type:${f.productType}`,
+    ...f.tags.map(t => `tag:${t}`), f.collection && `collection:${f.collection}`].filter(Boolean).join(",");
+}
+
+/** Same filters as query-string params for links to filtered feeds */
+function productFilterParams(f){
+  if (!f) return "";
+  const p = new URLSearchParams();
+  if (f.vendor) p.append("vendor", f.vendor);
+  if (f.productType) p.append("product_type", f.productType);
+  for (const t of f.tags) p.append("tag", t);
+  if (f.collection) p.append("collection", f.collection);
+  return `&${p}`;
+}
+
+/** Shopify search syntax (`vendor:"Acme" tag:"sale"`) for the products `query:` argument */
+function productSearchQuery(f, base=""){
+  const quote = v => `"${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  const terms = base ? [base] : [];
+  if (f?.vendor) terms.push(`vendor:${quote(f.vendor)}`);
+  if (f?.productType) terms.push(`product_type:${quote(f.productType)}`);
+  for (const t of f?.tags || []) terms.push(`tag:${quote(t)}`);
+  return terms.join(" ") || null;
+}
+
+/**
+ * Storefront connection for filtered products: root `products(query:)`, or `collection(handle).products(filters:)`
+ * when a collection is given (that connection has no search query, only ProductFilter inputs).
+ */
+function sfProductsConnection(f){
+  if (!f?.collection) return { type: "products", variables: { query: productSearchQuery(f) } };
+  const filters = [
+    ...(f.vendor ? [{ productVendor: f.vendor }] : []),
+    ...(f.productType ? [{ productType: f.productType }] : []),
+    ...f.tags.map(tag => ({ tag }))
+  ];
+  return { type: "collectionProducts", variables: { collection: f.collection, filters } };
+}
+
+/* ---------- GraphQL client (retries, backoff, Admin cost throttle) ---------- */
+
+// Most recent calls, newest last, for /admin/graphql-calls
+const graphqlCalls = [];
+const GRAPHQL_CALL_LOG_SIZE = 200;
+// shop -> Admin leaky bucket { max, available, restoreRate, at } from extensions.cost.throttleStatus
+const adminCostBuckets = new Map();
+// "api:operation" -> last requestedQueryCost, to know how much budget the next call needs
+const queryCosts = new Map();
+
+function sleep(ms, signal){
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+    signal?.addEventListener("abort", onAbort, { once: true });
   });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Storefront API ${resp.status}: ${text}`);
+}
+
+/** Operation name, else the first root field ("products"), for logs and cost estimates */
+function graphqlOperation(query){
+  const m = /\b(?:query|mutation)\s+(\w+)/.exec(query) || /{\s*(\w+)/.exec(query);
+  return m ? m[1] : "anonymous";
+}
+
+/** Budget currently left in a bucket, counting what has leaked back since the last report */
+function bucketAvailable(b){
+  return Math.min(b.max, b.available + (Date.now() - b.at) / 1000 * b.restoreRate);
+}
+
+/**
+ * POST a GraphQL document to the tenant's Storefront ("sf") or Admin ("admin") API.
+ * - 429, 5xx, timeouts and THROTTLED errors are retried GRAPHQL_MAX_RETRIES times with
+ *   exponential backoff and jitter, honouring Retry-After
+ * - Admin calls wait until the shop's cost bucket holds the query's last requested cost
+ * - a GraphQL `errors` array throws, with the errors on `err.graphqlErrors`
+ * Every call lands in `graphqlCalls` with its timing, attempts and throttle wait.
+ */
+async function shopifyGraphQL(tenant, api, query, variables, { acceptLanguage, signal }={}){
+  const admin = api === "admin";
+  const label = admin ? "Admin API" : "Storefront API";
+  const url = admin
+    ? `https://${tenant.shop}/admin/api/${tenant.apiVersion}/graphql.json`
+    : `https://${tenant.shop}/api/${tenant.sfApiVersion}/graphql.json`;
+  const headers = admin
+    ? { "X-Shopify-Access-Token": tenant.adminApiToken, "Content-Type": "application/json" }
+    : { "Content-Type": "application/json", "X-Shopify-Storefront-Access-Token": tenant.storefrontToken,
+        ...(acceptLanguage ? { "Accept-Language": acceptLanguage } : {}) };
+  const operation = graphqlOperation(query);
+  const call = { api, shop: tenant.shop, operation, startedAt: new Date().toISOString(), ms: 0, attempts: 0, throttledMs: 0, status: null, cost: null, error: null };
+  const started = Date.now();
+  try {
+    for (let attempt = 0; ; attempt++) {
+      call.attempts = attempt + 1;
+      const bucket = admin ? adminCostBuckets.get(tenant.shop) : null;
+      const need = queryCosts.get(`${api}:${operation}`);
+      if (bucket && need && bucketAvailable(bucket) < need) {
+        const wait = Math.ceil((need - bucketAvailable(bucket)) / bucket.restoreRate * 1000);
+        call.throttledMs += wait;
+        await sleep(wait, signal);
+      }
+
+      let retryAfterMs = null; let failure; let retryable = true;
+      try {
+        const resp = await timedFetch(url, { method: "POST", headers, body: JSON.stringify({ query, variables }), signal });
+        call.status = resp.status;
+        if (resp.ok) {
+          const json = await resp.json();
+          const cost = json?.extensions?.cost;
+          if (cost) {
+            call.cost = cost.actualQueryCost ?? cost.requestedQueryCost ?? null;
+            if (cost.requestedQueryCost) queryCosts.set(`${api}:${operation}`, cost.requestedQueryCost);
+            const t = cost.throttleStatus;
+            if (admin && t) adminCostBuckets.set(tenant.shop, { max: t.maximumAvailable, available: t.currentlyAvailable, restoreRate: t.restoreRate, at: Date.now() });
+          }
+          const errors = json?.errors || [];
+          if (!errors.length) { breakerSuccess(tenant, api); return json; }
+          failure = new Error(`${label} GraphQL errors: ${errors.map(e => e.message).join("; ")}`);
+          failure.graphqlErrors = errors;
+          retryable = errors.some(e => e.extensions?.code === "THROTTLED");
+        } else {
+          const text = await resp.text();
+          failure = new Error(`${label} ${resp.status}: ${text}`);
+          failure.status = resp.status;
+          retryable = resp.status === 429 || resp.status >= 500;
+          const ra = resp.headers.get("retry-after");
+          if (ra) retryAfterMs = /^\d+(\.\d+)?$/.test(ra) ? Number(ra) * 1000 : Math.max(0, Date.parse(ra) - Date.now());
+        }
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        failure = e; // network error or timeout
+      }
+      if (!retryable || attempt >= GRAPHQL_MAX_RETRIES) throw failure;
+      const backoff = Math.min(GRAPHQL_RETRY_BASE_MS * 2 ** attempt, 30000) * (0.5 + Math.random() / 2);
+      await sleep(retryAfterMs ?? backoff, signal);
+    }
+  } catch (e) {
+    call.error = e.message;
+    if (!signal?.aborted && apiUnavailable(e)) breakerFailure(tenant, api, e);
+    throw e;
+  } finally {
+    call.ms = Date.now() - started;
+    shopifyCalls.inc({ api: SOURCE_NAMES[api], outcome: call.error ? "error" : "ok" });
+    if (call.attempts > 1) shopifyRetries.inc({ api: SOURCE_NAMES[api] }, call.attempts - 1);
+    shopifyLatency.observe({ api: SOURCE_NAMES[api] }, call.ms / 1000);
+    graphqlCalls.push(call);
+    if (graphqlCalls.length > GRAPHQL_CALL_LOG_SIZE) graphqlCalls.shift();
   }
-  return resp.json();
 }
 
+/* ---------- Storefront/Admin failover ---------- */
+
+// "shop:api" -> { failures, openUntil, lastError, lastFailureAt }
+const breakers = new Map();
+const SOURCE_NAMES = { sf: "storefront", admin: "admin" };
+
+function breakerFor(tenant, api){
+  const key = `${tenant.shop}:${api}`;
+  if (!breakers.has(key)) breakers.set(key, { failures: 0, openUntil: 0, lastError: null, lastFailureAt: null });
+  return breakers.get(key);
+}
 /**
- * Generic cursor pagination for Storefront edges:
- * - Skip phase: advance by batches until we pass `offset`
- * - Collect phase: collect exactly `take` items
+ * Whether a failed call says the API itself is unusable for the shop: transport errors and
+ * timeouts, 5xx, 429/THROTTLED and 401/403. Query errors (a bad field, a missing scope on
+ * one resource) fail that feed but leave the breaker alone.
  */
-async function sfPagedSlice({ type, first, offset, take, acceptLanguage }) {
-  let after = null;
-  let skipped = 0;
-  const out = [];
+function apiUnavailable(err){
+  if (err.graphqlErrors) return err.graphqlErrors.some(e => e.extensions?.code === "THROTTLED");
+  if (err.status) return err.status >= 500 || [401, 403, 429].includes(err.status);
+  return true;
+}
+function breakerSuccess(tenant, api){
+  const b = breakerFor(tenant, api);
+  b.failures = 0; b.openUntil = 0;
+}
+function breakerFailure(tenant, api, err){
+  const b = breakerFor(tenant, api);
+  b.failures++; b.lastError = err.message; b.lastFailureAt = new Date().toISOString();
+  if (b.failures >= BREAKER_FAILURES) {
+    if (b.openUntil <= Date.now()) console.warn(`[breaker] ${tenant.shop} ${SOURCE_NAMES[api]} open for ${BREAKER_COOLDOWN_SECONDS}s: ${err.message}`);
+    b.openUntil = Date.now() + BREAKER_COOLDOWN_SECONDS * 1000;
+  }
+}
+function breakerOpen(tenant, api){
+  return breakerFor(tenant, api).openUntil > Date.now();
+}
 
-  // queries return edges { cursor node { ... } } + pageInfo
-  const isProducts = type === "products";
-  const query = isProducts
-    ? `
-      query($first:Int!, $after:String) {
-        products(first:$first, after:$after, sortKey:UPDATED_AT, reverse:true) {
-          edges {
-            cursor
-            node {
-              handle
+/**
+ * APIs to try for a tenant, in order: Storefront first when it has a token, Admin otherwise,
+ * with APIs whose breaker is open moved to the back (still tried if nothing else is left).
+ */
+function sourceOrder(tenant){
+  const order = [tenant.storefrontToken && "sf", tenant.adminApiToken && "admin"].filter(Boolean);
+  return [...order.filter(a => !breakerOpen(tenant, a)), ...order.filter(a => breakerOpen(tenant, a))];
+}
+
+/**
+ * Run `run(api, paging)` against each API in sourceOrder until one succeeds, noting the API
+ * that did on `out`, and return its result. With `paging`, a failure only moves on while no
+ * node has reached `paging.onBatch` yet, so a feed never mixes a partial walk from one API
+ * with a full walk from the other.
+ */
+async function withFailover(tenant, out, paging, run){
+  const order = sourceOrder(tenant);
+  const preferred = tenant.storefrontToken ? "sf" : "admin";
+  for (let i = 0; ; i++) {
+    let emitted = 0;
+    const counted = paging && { ...paging, onBatch: async batch => {
+      // the first node settles the walk on this API: note it before that node reaches the response
+      if (!emitted && batch.length) out?.served?.(order[i], order[i] !== preferred);
+      emitted += batch.length;
+      await paging.onBatch(batch);
+    } };
+    try {
+      const result = await run(order[i], counted);
+      out?.served?.(order[i], order[i] !== preferred);
+      return result;
+    } catch (e) {
+      if (paging?.signal?.aborted || emitted || i === order.length - 1) throw e;
+      console.warn(`[failover] ${tenant.shop} ${SOURCE_NAMES[order[i]]} failed, using ${SOURCE_NAMES[order[i + 1]]}: ${e.message}`);
+    }
+  }
+}
+
+/** Note on a feed output's `source` that `api` served part of it (`failover`: not the preferred API) */
+function recordSource(source, api, failover){
+  if (!source.apis.includes(api)) source.apis.push(api);
+  if (failover) source.failover = true;
+}
+/** "X-Sitemap-Source" value: the API(s) that served a feed, flagged when one was a fallback ("admin; failover") */
+function sourceHeader(source){
+  if (!source?.apis?.length) return "";
+  return `${source.apis.map(a => SOURCE_NAMES[a]).join("+")}${source.failover ? "; failover" : ""}`;
+}
+
+/* ---------- Storefront API (localized) — FIXED PAGINATION ---------- */
+
+async function sfGraphQL(tenant, query, variables, acceptLanguage, signal){
+  return shopifyGraphQL(tenant, "sf", query, variables, { acceptLanguage, signal });
+}
+
+// Storefront connections by root field: extra variables, connection arguments and default node selection
+// (`seoHidden` is null unless the seo.hidden metafield definition grants Storefront access; see seoHiddenHandles)
+const SF_CONNECTIONS = {
+  products: {
+    vars: ", $query:String",
+    args: "sortKey:UPDATED_AT, reverse:true, query:$query",
+    fields: `handle
               title
               onlineStoreUrl
               updatedAt
-              images(first:50) { nodes { url altText } }
-            }
-          }
-          pageInfo { hasNextPage }
-        }
-      }`
-    : `
-      query($first:Int!, $after:String) {
-        collections(first:$first, after:$after, sortKey:UPDATED_AT, reverse:true) {
+              tags
+              isGiftCard
+              seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+              images(first:50) { nodes { url altText } }`
+  },
+  collectionProducts: {
+    // collection(handle).products: ProductCollectionSortKeys has no UPDATED_AT, so collection order
+    parent: "collection(handle:$collection)",
+    connection: "products",
+    select: json => json?.data?.collection?.products,
+    vars: ", $collection:String!, $filters:[ProductFilter!]",
+    args: "sortKey:COLLECTION_DEFAULT, filters:$filters",
+    fields: `handle
+              title
+              onlineStoreUrl
+              updatedAt
+              tags
+              isGiftCard
+              seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+              images(first:50) { nodes { url altText } }`
+  },
+  collections: {
+    args: "sortKey:UPDATED_AT, reverse:true",
+    fields: `handle
+              title
+              updatedAt
+              seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+              image { url altText }`
+  },
+  articles: {
+    // Storefront articles have no updatedAt/UPDATED_AT; publishedAt stands in for lastmod
+    args: "sortKey:PUBLISHED_AT, reverse:true",
+    fields: `handle
+              title
+              publishedAt
+              blog { handle }
+              image { url altText }`
+  },
+  pages: {
+    args: "sortKey:UPDATED_AT, reverse:true",
+    fields: `handle
+              title
+              updatedAt
+              body`
+  },
+  metaobjects: {
+    vars: ", $type:String!",
+    args: `type:$type, sortKey:"updated_at", reverse:true`,
+    fields: `handle
+              type
+              updatedAt
+              onlineStoreUrl
+              fields {
+                key
+                value
+                reference { ... on MediaImage { image { url altText } } }
+                references(first:20) { nodes { ... on MediaImage { image { url altText } } } }
+              }`
+  }
+};
+
+function sfConnectionQuery(type, fields, country, imageTransform){
+  const spec = SF_CONNECTIONS[type];
+  if (!spec) throw new Error(`Unknown Storefront connection "${type}"`);
+  const context = country ? ", $country:CountryCode) @inContext(country:$country" : "";
+  let selection = fields || spec.fields;
+  // Every sitemap image is selected as `url altText`; video thumbnails (`previewImage { url }`) stay untouched
+  if (imageTransform) selection = selection.replace(/\burl altText\b/g, "url(transform:$imageTransform) altText");
+  return `
+      query($first:Int!, $after:String${spec.vars || ""}${imageTransform ? ", $imageTransform:ImageTransformInput" : ""}${context}) {
+        ${spec.parent ? `${spec.parent} { ` : ""}${spec.connection || type}(first:$first, after:$after, ${spec.args}) {
           edges {
             cursor
             node {
-              handle
-              title
-              updatedAt
-              image { url altText }
+              ${selection}
             }
           }
           pageInfo { hasNextPage }
-        }
+        }${spec.parent ? " }" : ""}
       }`;
+}
+
+/**
+ * Generic cursor pagination for Storefront edges:
+ * - Skip phase: advance by batches until we pass `offset` (from the nearest checkpoint, if any)
+ * - Collect phase: collect exactly `take` items
+ * `checkpoint` ({api,type,locale}) records page-boundary cursors for later calls, every `take`
+ * items or every `perPage` when given (a long walk recording a feed's pages).
+ * `country` runs the query @inContext of that market (from the host routing config).
+ * `tenant` is the shop queried; checkpoints are kept per shop.
+ * `imageTransform` (ImageTransformInput) has Shopify resize/re-encode every image url.
+ * With `onBatch`, collected nodes are handed over per GraphQL page instead of returned;
+ * `signal` stops paging between calls.
+ */
+async function sfPagedSlice({ tenant, type, first, offset, take, perPage=take, acceptLanguage, fields, variables, checkpoint, country, imageTransform, onBatch, signal }) {
+  const bucket = checkpoint ? checkpointBucket({ ...checkpoint, shop: tenant.shop, ...(country ? { country } : {}) }, perPage) : null;
+  let { skipped, after } = checkpointStart(bucket, offset);
+  let collected = 0;
+  const out = [];
 
-  const selectEdges = (json) =>
-    isProducts ? json?.data?.products?.edges || [] : json?.data?.collections?.edges || [];
-  const selectPageInfo = (json) =>
-    isProducts ? json?.data?.products?.pageInfo : json?.data?.collections?.pageInfo;
+  // queries return edges { cursor node { ... } } + pageInfo
+  const query = sfConnectionQuery(type, fields, country, imageTransform);
+  if (country) variables = { ...variables, country };
+  if (imageTransform) variables = { ...variables, imageTransform };
+  const connection = (json) => SF_CONNECTIONS[type].select ? SF_CONNECTIONS[type].select(json) : json?.data?.[type];
+  const selectEdges = (json) => connection(json)?.edges || [];
+  const selectPageInfo = (json) => connection(json)?.pageInfo;
 
   // --- Skip phase
   while (skipped < offset) {
     const want = Math.min(first, offset - skipped);
-    const resp = await sfGraphQL(query, { first: want, after }, acceptLanguage);
+    signal?.throwIfAborted();
+    const resp = await sfGraphQL(tenant, query, { ...variables, first: want, after }, acceptLanguage, signal);
     const edges = selectEdges(resp);
     if (!edges.length) break;
-    skipped += edges.length;
+    for (const e of edges) recordCheckpoint(bucket, perPage, ++skipped, e.cursor);
     after = edges[edges.length - 1].cursor;
     const info = selectPageInfo(resp);
     if (!info?.hasNextPage) break;
   }
 
   // --- Collect phase
-  while (out.length < take) {
-    const need = take - out.length;
+  while (collected < take) {
+    const need = take - collected;
     const want = Math.min(first, need);
-    const resp = await sfGraphQL(query, { first: want, after }, acceptLanguage);
+    signal?.throwIfAborted();
+    const resp = await sfGraphQL(tenant, query, { ...variables, first: want, after }, acceptLanguage, signal);
     const edges = selectEdges(resp);
     if (!edges.length) break;
+    const batch = [];
     for (const e of edges) {
-      out.push(e.node);
-      if (out.length >= take) break;
+      batch.push(e.node);
+      recordCheckpoint(bucket, perPage, offset + ++collected, e.cursor);
+      if (collected >= take) break;
     }
+    if (onBatch) await onBatch(batch); else out.push(...batch);
     after = edges[edges.length - 1].cursor;
     const info = selectPageInfo(resp);
     if (!info?.hasNextPage) break;
@@ -242,43 +1390,187 @@ async function sfPagedSlice({ type, first, offset, take, acceptLanguage }) {
 }
 
 // New SF helpers that use cursor pagination above
-async function sfGetProductsSlice(offset, limit, acceptLanguage){
+// `opts.filters` (productFilters) narrows the products/videos walks; checkpoints are kept per filter
+async function sfGetProductsSlice(offset, limit, acceptLanguage, opts){
+  const { type, variables } = sfProductsConnection(opts?.filters);
   // batch size for Storefront; 100 is safe
-  return sfPagedSlice({ type: "products", first: 100, offset, take: limit, acceptLanguage });
+  return sfPagedSlice({ type, first: 100, offset, take: limit, acceptLanguage, variables,
+    checkpoint: { api: "sf", type: "products", filter: productFilterKey(opts?.filters), locale: acceptLanguage || "" }, ...opts });
 }
-async function sfGetCollectionsSlice(offset, limit, acceptLanguage){
-  return sfPagedSlice({ type: "collections", first: 100, offset, take: limit, acceptLanguage });
+async function sfGetCollectionsSlice(offset, limit, acceptLanguage, opts){
+  return sfPagedSlice({ type: "collections", first: 100, offset, take: limit, acceptLanguage,
+    checkpoint: { api: "sf", type: "collections", locale: acceptLanguage || "" }, ...opts });
 }
 
-/* ---------- Admin API (fallback) ---------- */
-
-async function gqlPagedSlice({ query, selectEdges, first, offset, take }){
-  let after=null; let skipped=0; const out=[];
-  while(out.length<take){
-    const resp=await timedFetch(`https://${SHOP}/admin/api/${API_VERSION}/graphql.json`,{
-      method:"POST",
-      headers:{ "X-Shopify-Access-Token":ADMIN_API_TOKEN,"Content-Type":"application/json"},
-      body:JSON.stringify({ query, variables:{ first, after }})
-    });
-    if(!resp.ok){ const text=await resp.text(); throw new Error(`Admin API ${resp.status}: ${text}`); }
-    const json=await resp.json();
+async function sfGetProductVideosSlice(offset, limit, acceptLanguage, opts){
+  const fields = `handle
+              title
+              description
+              onlineStoreUrl
+              updatedAt
+              tags
+              isGiftCard
+              seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+              media(first:20) {
+                nodes {
+                  mediaContentType
+                  alt
+                  previewImage { url }
+                  ... on Video { sources { url mimeType } }
+                  ... on ExternalVideo { embedUrl host }
+                }
+              }`;
+  const { type, variables } = sfProductsConnection(opts?.filters);
+  return sfPagedSlice({ type, first: 100, offset, take: limit, acceptLanguage, fields, variables,
+    checkpoint: { api: "sf", type: "products", filter: productFilterKey(opts?.filters), locale: acceptLanguage || "" }, ...opts });
+}
+
+async function sfGetArticlesSlice(offset, limit, acceptLanguage, opts){
+  return sfPagedSlice({ type: "articles", first: 100, offset, take: limit, acceptLanguage,
+    checkpoint: { api: "sf", type: "articles", locale: acceptLanguage || "" }, ...opts });
+}
+async function sfGetPagesSlice(offset, limit, acceptLanguage, opts){
+  return sfPagedSlice({ type: "pages", first: 100, offset, take: limit, acceptLanguage,
+    checkpoint: { api: "sf", type: "pages", locale: acceptLanguage || "" }, ...opts });
+}
+async function sfGetMetaobjectsSlice(metaobjectType, offset, limit, acceptLanguage, opts){
+  return sfPagedSlice({ type: "metaobjects", first: 100, offset, take: limit, acceptLanguage, variables: { type: metaobjectType },
+    checkpoint: { api: "sf", type: "metaobjects", metaobjectType, locale: acceptLanguage || "" }, ...opts });
+}
+
+/* ---------- Admin API (fallback) ---------- */
+
+async function adminGraphQL(tenant, query, variables, signal){
+  return shopifyGraphQL(tenant, "admin", query, variables, { signal });
+}
+
+/* ---------- Admin translations (localized titles / alt text without a Storefront token) ---------- */
+
+// shop -> { expiresAt, locales: Promise<[{ locale, primary }]> }
+const shopLocalesCache = new Map();
+
+/**
+ * The shop's published locale matching `locale` (case-insensitive), or null when there is nothing
+ * to translate: no locale, the primary locale, a locale the shop does not publish, or no read_locales scope.
+ */
+async function adminTranslationLocale(tenant, locale){
+  if(!locale) return null;
+  let cached=shopLocalesCache.get(tenant.shop);
+  if(!cached || cached.expiresAt<=Date.now()){
+    // shared by every request of the shop, so no request's abort signal; a failure is not cached
+    const entry={ expiresAt: Date.now()+CACHE_TTL_SECONDS*1000 };
+    entry.locales=adminGraphQL(tenant, `{ shopLocales(published:true) { locale primary } }`, {})
+      .then(json=>json?.data?.shopLocales || [])
+      .catch(e=>{
+        console.error(`[translations] shopLocales for ${tenant.shop}:`, e.message);
+        if(shopLocalesCache.get(tenant.shop)===entry) shopLocalesCache.delete(tenant.shop);
+        return [];
+      });
+    cached=entry;
+    shopLocalesCache.set(tenant.shop, cached);
+  }
+  const match=(await cached.locales).find(l=>l.locale.toLowerCase()===String(locale).toLowerCase());
+  return match && !match.primary ? match.locale : null;
+}
+
+const TRANSLATIONS_QUERY=`
+  query Translations($ids:[ID!]!, $first:Int!, $locale:String!) {
+    translatableResourcesByIds(resourceIds:$ids, first:$first) {
+      edges { node { resourceId translations(locale:$locale) { key value } } }
+    }
+  }`;
+
+/** File name of a CDN image; Image and MediaImage urls for one file differ only in path prefix and ?v= */
+function imageFileName(url){ try{ return new URL(url).pathname.split("/").pop(); }catch{ return url; } }
+
+/**
+ * Replace Admin node titles (and product image alt text, via their MediaImage) with `locale` translations,
+ * in place. Ids go out 250 per translatableResourcesByIds call, TRANS_CONCURRENCY calls at a time.
+ * Alt text without a translation is cleared so the feed falls back to the translated title
+ * rather than mixing languages.
+ */
+async function translateAdminNodes(tenant, nodes, locale, signal){
+  const ids=[];
+  for(const n of nodes){
+    if(n.id) ids.push(n.id);
+    for(const m of n.imageMedia?.nodes || []) if(m?.id) ids.push(m.id);
+  }
+  const chunks=[]; for(let i=0;i<ids.length;i+=250) chunks.push(ids.slice(i,i+250));
+  const found=new Map();
+  await pMap(chunks, TRANS_CONCURRENCY, async chunk=>{
+    const json=await adminGraphQL(tenant, TRANSLATIONS_QUERY, { ids:chunk, first:chunk.length, locale }, signal);
+    for(const e of json?.data?.translatableResourcesByIds?.edges || []){
+      found.set(e.node.resourceId, Object.fromEntries((e.node.translations || []).map(t=>[t.key, t.value])));
+    }
+  });
+  for(const n of nodes){
+    const t=found.get(n.id) || {};
+    if(t.title) n.title=t.title;
+    if(t.body_html && "description" in n) n.description=t.body_html.replace(/<[^>]*>/g," ").replace(/\s+/g," ").trim();
+    const altByPath=new Map((n.imageMedia?.nodes || []).filter(m=>m?.image).map(m=>[imageFileName(m.image.url), found.get(m.id)?.alt || null]));
+    for(const e of n.images?.edges || []) e.node.altText=altByPath.get(imageFileName(e.node.url)) || null;
+    if(n.image) n.image.altText=null;
+    for(const e of n.media?.edges || []) if(e.node) e.node.alt=null;
+  }
+}
+
+/** gqlPagedSlice options that translate each batch before `opts.onBatch` sees it */
+function translatedBatches(opts, locale){
+  if(!locale || !opts.onBatch) return {};
+  return { onBatch: async batch=>{ await translateAdminNodes(opts.tenant, batch, locale, opts.signal); return opts.onBatch(batch); } };
+}
+
+async function gqlPagedSlice({ tenant, query, selectEdges, first, offset, take, perPage=take, variables, checkpoint, onBatch, signal, bulk }){
+  if(bulk){
+    // copies, so Admin translations applied to one locale's batch don't leak into the next
+    const batch=structuredClone(bulk.slice(offset, offset+take));
+    if(onBatch){ if(batch.length) await onBatch(batch); return []; }
+    return batch;
+  }
+  const bucket=checkpoint?checkpointBucket({ ...checkpoint, shop:tenant.shop }, perPage):null;
+  let { skipped, after }=checkpointStart(bucket, offset); let collected=0; const out=[];
+  while(collected<take){
+    signal?.throwIfAborted();
+    const json=await adminGraphQL(tenant, query, { ...variables, first, after }, signal);
     const edges=selectEdges(json)||[];
     if(!edges.length) break;
+    const batch=[];
     for(const e of edges){
       if(skipped<offset) skipped+=1;
-      else if(out.length<take) out.push(e.node);
+      else if(collected<take){ batch.push(e.node); collected+=1; }
+      else break;
+      recordCheckpoint(bucket, perPage, skipped+collected, e.cursor);
     }
+    if(onBatch){ if(batch.length) await onBatch(batch); } else out.push(...batch);
     const pageInfo=edges.length?json.data[Object.keys(json.data)[0]].pageInfo:{hasNextPage:false};
-    if(!pageInfo?.hasNextPage||out.length>=take) break;
+    if(!pageInfo?.hasNextPage||collected>=take) break;
     after=edges[edges.length-1].cursor;
   }
   return out;
 }
 
-async function getProductsSlice(offset, limit){
+/**
+ * Admin `query:` for active products matching `filters`; a collection handle becomes collection_id
+ * (Admin's collection.products cannot search or sort by UPDATED_AT). Unknown collection -> null.
+ */
+async function adminProductQuery(tenant, filters, signal){
+  let base="status:active";
+  if(filters?.collection){
+    const json=await adminGraphQL(tenant, `query($handle:String!){ collectionByHandle(handle:$handle){ id } }`, { handle:filters.collection }, signal);
+    const id=json?.data?.collectionByHandle?.id;
+    if(!id) return null;
+    base+=` collection_id:${numericIdFromGid(id)}`;
+  }
+  return productSearchQuery(filters, base);
+}
+
+async function getProductsSlice(offset, limit, opts){
+  const search=await adminProductQuery(opts.tenant, opts.filters, opts.signal);
+  if(search===null) return [];
+  const locale=await adminTranslationLocale(opts.tenant, opts.locale);
   const query=`
-    query Products($first:Int!, $after:String) {
-      products(first:$first, after:$after, query:"status:active", sortKey:UPDATED_AT, reverse:true) {
+    query Products($first:Int!, $after:String, $query:String) {
+      products(first:$first, after:$after, query:$query, sortKey:UPDATED_AT, reverse:true) {
         edges {
           cursor
           node {
@@ -287,16 +1579,63 @@ async function getProductsSlice(offset, limit){
             handle
             onlineStoreUrl
             updatedAt
-            images(first:50) { edges { node { id url altText } } }
+            tags
+            isGiftCard
+            seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+            images(first:50) { edges { node { id url altText } } }${locale ? `
+            imageMedia: media(first:50) { nodes { ... on MediaImage { id image { url } } } }` : ""}
           }
         }
         pageInfo { hasNextPage }
       }
     }`;
-  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.products?.edges, first:100, offset, take:limit });
+  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.products?.edges, first:100, offset, take:limit, variables:{ query:search },
+    checkpoint:{ api:"admin", type:"products", filter:productFilterKey(opts.filters), locale:"" }, bulk:bulkRows(opts.tenant, "products", opts.filters),
+    ...opts, ...translatedBatches(opts, locale) });
 }
 
-async function getCollectionsSlice(offset, limit){
+async function getProductVideosSlice(offset, limit, opts){
+  const search=await adminProductQuery(opts.tenant, opts.filters, opts.signal);
+  if(search===null) return [];
+  const locale=await adminTranslationLocale(opts.tenant, opts.locale);
+  const query=`
+    query ProductVideos($first:Int!, $after:String, $query:String) {
+      products(first:$first, after:$after, query:$query, sortKey:UPDATED_AT, reverse:true) {
+        edges {
+          cursor
+          node {
+            id
+            title
+            description
+            handle
+            onlineStoreUrl
+            updatedAt
+            tags
+            isGiftCard
+            seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+            media(first:20) {
+              edges {
+                node {
+                  mediaContentType
+                  alt
+                  preview { image { url } }
+                  ... on Video { duration sources { url mimeType } }
+                  ... on ExternalVideo { embedUrl host }
+                }
+              }
+            }
+          }
+        }
+        pageInfo { hasNextPage }
+      }
+    }`;
+  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.products?.edges, first:100, offset, take:limit, variables:{ query:search },
+    checkpoint:{ api:"admin", type:"products", filter:productFilterKey(opts.filters), locale:"" }, bulk:bulkRows(opts.tenant, "products", opts.filters),
+    ...opts, ...translatedBatches(opts, locale) });
+}
+
+async function getCollectionsSlice(offset, limit, opts){
+  const locale=await adminTranslationLocale(opts.tenant, opts.locale);
   const query=`
     query Collections($first:Int!, $after:String) {
       collections(first:$first, after:$after, query:"published_status:published", sortKey:UPDATED_AT, reverse:true) {
@@ -307,17 +1646,238 @@ async function getCollectionsSlice(offset, limit){
             title
             handle
             updatedAt
+            seoHidden: metafield(namespace:"seo", key:"hidden") { value }
             image { id url altText }
           }
         }
         pageInfo { hasNextPage }
       }
     }`;
-  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.collections?.edges, first:200, offset, take:limit });
+  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.collections?.edges, first:200, offset, take:limit,
+    checkpoint:{ api:"admin", type:"collections", locale:"" }, bulk:bulkRows(opts.tenant, "collections"), ...opts, ...translatedBatches(opts, locale) });
+}
+
+// Admin `articles`/`pages` need API_VERSION 2024-10 or newer (the default); older versions fail these types
+async function getArticlesSlice(offset, limit, opts){
+  const query=`
+    query Articles($first:Int!, $after:String) {
+      articles(first:$first, after:$after, query:"published_status:published", sortKey:UPDATED_AT, reverse:true) {
+        edges {
+          cursor
+          node {
+            id
+            title
+            handle
+            updatedAt
+            blog { handle }
+            image { url altText }
+          }
+        }
+        pageInfo { hasNextPage }
+      }
+    }`;
+  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.articles?.edges, first:100, offset, take:limit,
+    checkpoint:{ api:"admin", type:"articles", locale:"" }, ...opts });
+}
+
+async function getPagesSlice(offset, limit, opts){
+  const query=`
+    query Pages($first:Int!, $after:String) {
+      pages(first:$first, after:$after, query:"published_status:published", sortKey:UPDATED_AT, reverse:true) {
+        edges {
+          cursor
+          node {
+            id
+            title
+            handle
+            updatedAt
+            body
+          }
+        }
+        pageInfo { hasNextPage }
+      }
+    }`;
+  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.pages?.edges, first:100, offset, take:limit,
+    checkpoint:{ api:"admin", type:"pages", locale:"" }, ...opts });
+}
+
+async function getMetaobjectsSlice(metaobjectType, offset, limit, opts){
+  const query=`
+    query Metaobjects($first:Int!, $after:String, $type:String!) {
+      metaobjects(type:$type, first:$first, after:$after, sortKey:"updated_at", reverse:true) {
+        edges {
+          cursor
+          node {
+            id
+            handle
+            type
+            updatedAt
+            fields {
+              key
+              value
+              reference { ... on MediaImage { image { url altText } } }
+              references(first:20) { nodes { ... on MediaImage { image { url altText } } } }
+            }
+          }
+        }
+        pageInfo { hasNextPage }
+      }
+    }`;
+  return gqlPagedSlice({ query, selectEdges:j=>j?.data?.metaobjects?.edges, first:100, offset, take:limit, variables:{ type:metaobjectType },
+    checkpoint:{ api:"admin", type:"metaobjects", metaobjectType, locale:"" }, ...opts });
+}
+
+/* ---------- Catalog size (index) ---------- */
+
+const ADMIN_LIST_FILTERS = {
+  products: `query:$query, sortKey:UPDATED_AT`,
+  collections: `query:"published_status:published", sortKey:UPDATED_AT`,
+  articles: `query:"published_status:published", sortKey:UPDATED_AT`,
+  pages: `query:"published_status:published", sortKey:UPDATED_AT`,
+  metaobjects: `type:$type, sortKey:"updated_at"`
+};
+
+/**
+ * `updatedAt` of every item a feed of `type` would list, in feed order.
+ * Walks the same API the feed uses (Storefront when configured, failing over like the feeds)
+ * with a minimal selection, so the count and the per-page boundaries match what /image.xml
+ * will actually serve. On the way it records the cursor at every `perPage` boundary under the
+ * checkpoint scope of the feed pages in `locale`, so those pages start from there.
+ */
+async function listUpdatedAt(tenant, type, metaobjectType, country, filters, perPage, locale, out){
+  return withFailover(tenant, out, null, src => listUpdatedAtFrom(src, tenant, type, metaobjectType, country, filters, perPage, locale));
+}
+async function listUpdatedAtFrom(src, tenant, type, metaobjectType, country, filters, perPage, locale){
+  let variables = type === "metaobjects" ? { type: metaobjectType } : {};
+  // same scope as the slice functions the feeds page with
+  const checkpoint = { api: src, type, ...(type === "products" ? { filter: productFilterKey(filters) } : {}),
+    ...(type === "metaobjects" ? { metaobjectType } : {}), locale: src === "sf" ? locale || "" : "" };
+  if (src === "sf") {
+    const fields = type === "articles" ? "publishedAt" : "updatedAt";
+    const conn = type === "products" ? sfProductsConnection(filters) : { type, variables };
+    const nodes = await sfPagedSlice({ tenant, type: conn.type, first: 250, offset: 0, take: Infinity, perPage, checkpoint, fields, variables: conn.variables, country });
+    return nodes.map(n => n.updatedAt || n.publishedAt);
+  }
+  if (type === "products") {
+    const search = await adminProductQuery(tenant, filters);
+    if (search === null) return [];
+    variables = { query: search };
+  }
+  const query=`
+    query UpdatedAt($first:Int!, $after:String${type === "metaobjects" ? ", $type:String!" : ""}${type === "products" ? ", $query:String" : ""}) {
+      ${type}(first:$first, after:$after, ${ADMIN_LIST_FILTERS[type]}, reverse:true) {
+        edges { cursor node { updatedAt } }
+        pageInfo { hasNextPage }
+      }
+    }`;
+  const nodes = await gqlPagedSlice({ tenant, query, selectEdges:j=>j?.data?.[type]?.edges, first:250, offset:0, take:Infinity, perPage, checkpoint, variables, bulk: bulkRows(tenant, type, filters) });
+  return nodes.map(n => n.updatedAt);
+}
+
+/**
+ * [{ page, lastmod }] for `type` split into pages of `perPage`; lastmod is the newest updatedAt in that slice.
+ * `locale` is the one the listed pages are fetched in, for their checkpoints.
+ */
+async function pagesForType(tenant, type, perPage, metaobjectType, country, filters, out, locale){
+  const stamps = await listUpdatedAt(tenant, type, metaobjectType, country, filters, perPage, locale, out);
+  const pages = [];
+  for (let i = 0; i < stamps.length; i += perPage) {
+    const slice = stamps.slice(i, i + perPage).filter(Boolean).sort();
+    pages.push({ page: pages.length + 1, lastmod: slice[slice.length - 1] || null });
+  }
+  return pages;
 }
 
 /* ---------- XML builders ---------- */
 
+/** Feed output that only keeps the text (background regeneration, non-streamed routes), what was skipped and excluded */
+function xmlCollector(){
+  const parts=[]; const skipped=[]; const excluded={}; const source={ apis:[], failover:false };
+  return {
+    signal:null, skipped, excluded, source,
+    async write(chunk){ parts.push(chunk); },
+    served(api, failover){ recordSource(source, api, failover); },
+    skip(type, handle, reason){ skipped.push({ type, handle, reason }); },
+    exclude(type, handle, reason){ excluded[reason]=(excluded[reason]||0)+1; skipped.push({ type, handle, reason:`excluded: ${reason}` }); },
+    body:()=>parts.join("")
+  };
+}
+/** Slice options that hand each node to `fn` as its GraphQL page arrives, stopping when `out` is aborted */
+function eachNode(out, fn){
+  return { signal: out.signal, onBatch: async batch => { for (const node of batch) await fn(node); } };
+}
+
+const isSeoHidden = node => ["1", "true"].includes(String(node.seoHidden?.value || "").toLowerCase());
+
+// shop -> { expiresAt, handles: Promise<{ products: Set, collections: Set }> }
+const seoHiddenCache = new Map();
+
+/**
+ * Handles of the shop's products/collections with seo.hidden set, read through Admin: the
+ * Storefront API returns that metafield as null unless its definition grants Storefront access.
+ * Cached per shop like shopLocales (webhooks drop it); a failed walk hides nothing and is retried.
+ */
+async function seoHiddenHandles(tenant){
+  let cached=seoHiddenCache.get(tenant.shop);
+  if(!cached || cached.expiresAt<=Date.now()){
+    const entry={ expiresAt: Date.now()+CACHE_TTL_SECONDS*1000 };
+    entry.handles=(async ()=>{
+      const handles={};
+      for(const type of ["products", "collections"]){
+        handles[type]=new Set();
+        const stored=bulkRows(tenant, type);
+        if(stored){ for(const n of stored) if(isSeoHidden(n)) handles[type].add(n.handle); continue; }
+        const filter=type==="products" ? `query:"status:active"` : `query:"published_status:published"`;
+        for(let after=null; ;){
+          const json=await adminGraphQL(tenant, `
+            query SeoHidden($after:String) {
+              ${type}(first:250, after:$after, ${filter}) {
+                nodes { handle seoHidden: metafield(namespace:"seo", key:"hidden") { value } }
+                pageInfo { hasNextPage endCursor }
+              }
+            }`, { after });
+          const conn=json?.data?.[type];
+          for(const n of conn?.nodes || []) if(isSeoHidden(n)) handles[type].add(n.handle);
+          if(!conn?.pageInfo?.hasNextPage) break;
+          after=conn.pageInfo.endCursor;
+        }
+      }
+      return handles;
+    })().catch(e=>{
+      console.error(`[exclusions] seo.hidden for ${tenant.shop}:`, e.message);
+      if(seoHiddenCache.get(tenant.shop)===entry) seoHiddenCache.delete(tenant.shop);
+      return { products: new Set(), collections: new Set() };
+    });
+    cached=entry;
+    seoHiddenCache.set(tenant.shop, cached);
+  }
+  return cached.handles;
+}
+/** seo.hidden handles for a feed's tenant: only needed when Storefront may serve it (Admin nodes carry the metafield) */
+async function feedSeoHidden(tenant){
+  return tenant.storefrontToken && tenant.adminApiToken ? seoHiddenHandles(tenant) : null;
+}
+
+/**
+ * Why a product/collection node stays out of the feeds, or null: the seo.hidden metafield (on the
+ * node, or in `hidden`, the handles seoHiddenHandles read through Admin), a gift card
+ * (EXCLUDE_GIFT_CARDS), a handle in EXCLUDE_HANDLES or a tag in EXCLUDE_TAGS.
+ */
+function exclusionReason(node, hidden){
+  if (isSeoHidden(node) || hidden?.has(node.handle)) return "seo.hidden";
+  if (EXCLUDE_GIFT_CARDS && node.isGiftCard) return "gift-card";
+  const handle = String(node.handle || "").toLowerCase();
+  if (EXCLUDE_HANDLES.some(re => re.test(handle))) return "handle";
+  if (EXCLUDE_TAGS.length && (node.tags || []).some(t => EXCLUDE_TAGS.includes(String(t).toLowerCase()))) return "tag";
+  return null;
+}
+/** "X-Sitemap-Excluded" value: total, then the count per reason ("4; seo.hidden=3, tag=1"), or "" */
+function excludedHeader(excluded){
+  const entries = Object.entries(excluded || {}).sort();
+  if (!entries.length) return "";
+  return `${entries.reduce((n, [, c]) => n + c, 0)}; ${entries.map(([r, c]) => `${r}=${c}`).join(", ")}`;
+}
+
 function buildImageNode(loc, title, caption){
   return `
         <image:image>
@@ -326,97 +1886,338 @@ function buildImageNode(loc, title, caption){
           <image:caption>${x(caption || "")}</image:caption>
         </image:image>`;
 }
-function buildUrlNode(pageLoc, lastmodISO, imageNodes){
+function buildVideoNode({ thumbnailLoc, title, description, contentLoc, playerLoc, durationSec }){
+  return `
+        <video:video>
+          <video:thumbnail_loc>${x(thumbnailLoc)}</video:thumbnail_loc>
+          <video:title>${x(title || "")}</video:title>
+          <video:description>${x(description || "")}</video:description>
+          ${contentLoc?`<video:content_loc>${x(contentLoc)}</video:content_loc>`:""}${playerLoc?`<video:player_loc>${x(playerLoc)}</video:player_loc>`:""}${durationSec?`
+          <video:duration>${durationSec}</video:duration>`:""}
+        </video:video>`;
+}
+function buildAlternateNode(hreflang, href){
+  return `
+        <xhtml:link rel="alternate" hreflang="${x(hreflang)}" href="${x(href)}"/>`;
+}
+function buildUrlNode(pageLoc, lastmodISO, imageNodes, alternates=[]){
   return `<url>
       <loc>${x(pageLoc)}</loc>
-      ${lastmodISO?`<lastmod>${x(lastmodISO)}</lastmod>`:""}${imageNodes.join("")}
+      ${lastmodISO?`<lastmod>${x(lastmodISO)}</lastmod>`:""}${alternates.map(a=>buildAlternateNode(a.hreflang, a.href)).join("")}${imageNodes.join("")}
     </url>`;
 }
 
 /* ---------- Main App Proxy endpoints ---------- */
 
-app.get("/image.xml", async (req,res)=>{
-  try{
-    if(!verifyProxyHmac(req)) return res.status(401).send("Invalid signature");
-
-    const forwardedHost=req.get("x-forwarded-host")||req.get("host");
-    const host=stripPort(forwardedHost);
-
-    const page=Math.max(parseInt(req.query.page||"1",10),1);
-    const perPageRaw=Math.max(parseInt(req.query.per_page||String(DEFAULT_PER_PAGE),10),1);
-    const perPage=Math.min(perPageRaw,MAX_URLS_PER_FEED);
-    const type=(req.query.type||"all").toLowerCase(); // products|collections|all
-    const preferHost=String(req.query.prefer_host||"1")==="1";
-    const locale=getLocaleForHost(host, req.query.locale);
-    const key=cacheKey({route:"image.xml",host,page,perPage,type,preferHost,locale});
-    const hit=responseCache.get(key); const now=Date.now();
-    if(hit && hit.expiresAt>now){ setXmlHeaders(res); return res.status(200).send(hit.body); }
-
-    const offset=(page-1)*perPage;
-    const nodes=[];
-    const useSF = !!STOREFRONT_TOKEN;
-
-    // PRODUCTS
-    if(type==="products"||type==="all"){
-      const products = useSF
-        ? await sfGetProductsSlice(offset, perPage, locale)
-        : await getProductsSlice(offset, perPage);
-
-      for (const p of products){
-        const handle = p.handle;
-        const pageUrl = pageUrlForProduct(
-          host,
-          handle,
-          p.onlineStoreUrl,
-          locale
+/**
+ * image:loc options { width, height, crop, format, stripVersion } from a routing rule's `image`
+ * or from ?img_width=&img_height=&img_crop=&img_format=&img_strip_version=; `onInvalid(field)` reports bad values.
+ * crop only applies with both width and height (Shopify CDN behaviour).
+ */
+function parseImageOptions(raw, onInvalid){
+  const out = {};
+  const size = (v, field) => {
+    if (v === undefined || v === "") return;
+    const n = Number(v);
+    if (Number.isInteger(n) && n >= 1 && n <= 5760) out[field] = n; else onInvalid(field);
+  };
+  size(raw.width, "width");
+  size(raw.height, "height");
+  if (raw.crop !== undefined && raw.crop !== "") {
+    const crop = String(raw.crop).toLowerCase();
+    if (["center", "top", "bottom", "left", "right"].includes(crop)) out.crop = crop; else onInvalid("crop");
+  }
+  if (raw.format !== undefined && raw.format !== "") {
+    const format = String(raw.format).toLowerCase();
+    if (["jpg", "pjpg", "png", "webp"].includes(format)) out.format = format; else onInvalid("format");
+  }
+  if (raw.stripVersion !== undefined && raw.stripVersion !== "") out.stripVersion = [true, "1", "true"].includes(raw.stripVersion);
+  return out;
+}
+
+/** Host defaults overlaid with the request's image options (invalid query values are ignored) */
+function imageOptionsFor(q, host){
+  const fromQuery = parseImageOptions({ width: q.img_width, height: q.img_height, crop: q.img_crop, format: q.img_format, stripVersion: q.img_strip_version }, () => {});
+  return { ...resolveRouting(host).image, ...fromQuery };
+}
+
+/** Same options as Storefront `url(transform:)` input, or null when nothing is resized/re-encoded */
+function storefrontImageTransform({ width, height, crop, format }){
+  if (!width && !height && !format) return null;
+  return {
+    ...(width ? { maxWidth: width } : {}),
+    ...(height ? { maxHeight: height } : {}),
+    ...(crop && width && height ? { crop: crop.toUpperCase() } : {}),
+    ...(format ? { preferredContentType: format === "pjpg" ? "JPG" : format.toUpperCase() } : {})
+  };
+}
+
+/** Tenant, host, paging, locale, Storefront country, image and product filter parameters shared by the feed routes */
+function feedParams(req, tenant){
+  const forwardedHost=req.get("x-forwarded-host")||req.get("host");
+  return feedParamsFor(tenant, stripPort(forwardedHost), req.query);
+}
+/** feedParams for a host and query object, e.g. the query string of a sitemap index child (pre-warming) */
+function feedParamsFor(tenant, host, query){
+  const page=Math.max(parseInt(query.page||"1",10),1);
+  const perPageRaw=Math.max(parseInt(query.per_page||String(DEFAULT_PER_PAGE),10),1);
+  const perPage=Math.min(perPageRaw,MAX_URLS_PER_FEED);
+  const filters=productFilters(query); // products only, so type=all narrows to type=products
+  const typeRaw=(query.type||"all").toLowerCase(); // products|collections|all|articles|pages|metaobjects
+  const type=filters&&typeRaw==="all"?"products":typeRaw;
+  const metaobjectType=String(query.metaobject_type||METAOBJECT_TYPES[0]||"");
+  const preferHost=String(query.prefer_host||"1")==="1";
+  const locale=getLocaleForHost(host, query.locale);
+  const country=resolveRouting(host).country;
+  const image=imageOptionsFor(query, host);
+  const dropBroken=String(query.drop_broken ?? (DROP_BROKEN_IMAGES ? "1" : "0"))==="1";
+  return { tenant, host, page, perPage, type, metaobjectType, preferHost, locale, country, image, dropBroken, filters };
+}
+
+/** Complete /image.xml document for one page */
+async function buildImageXml({ tenant, host, page, perPage, type, metaobjectType, preferHost, locale, country, image, dropBroken, filters }, out=xmlCollector()){
+  const offset=(page-1)*perPage;
+  const imageTransform = tenant.storefrontToken ? storefrontImageTransform(image) : null;
+  const api = { tenant, country, imageTransform, filters, locale };
+  // Which API serves the current section; Storefront or Admin, whichever withFailover settled on
+  let useSF = false;
+  const fetchSection = (paging, sfFetch, adminFetch) => withFailover(tenant, out, paging, (src, pg) => {
+    useSF = src === "sf";
+    return useSF ? sfFetch({ ...pg, ...api }) : adminFetch({ ...pg, ...api });
+  });
+  let items = 0;
+  const writeUrl = xml => { items++; return out.write(xml); };
+  // API image urls come back already transformed on the Storefront path; everything else gets CDN params
+  const imageLoc = (url, fromApi=true) => {
+    const loc = cdnImageUrl(url, fromApi && useSF && imageTransform ? { stripVersion: image.stripVersion } : image);
+    return preferHost ? preferHostImageUrl(loc, host) : loc;
+  };
+  // With dropBroken, images the last HEAD check found broken are left out, whatever options that check ran with
+  const live = (images, fromApi=true) => dropBroken ? images.filter(img => !isBrokenImage(imageChecks.get(imageCheckKey(tenant.shop, imageLoc(img.url, fromApi))))) : images;
+  const hidden = type==="products"||type==="collections"||type==="all" ? await feedSeoHidden(tenant) : null;
+
+  await out.write(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+        xmlns:xhtml="http://www.w3.org/1999/xhtml">
+`);
+
+  // PRODUCTS
+  if(type==="products"||type==="all"){
+    const paging = eachNode(out, async p => {
+      const handle = p.handle;
+      const excludedFor = exclusionReason(p, hidden?.products);
+      if(excludedFor) return out.exclude("products", handle, excludedFor);
+      const pageUrl = pageUrlForProduct(
+        host,
+        handle,
+        p.onlineStoreUrl,
+        locale
       );
-        const updatedAt = p.updatedAt;
-        const imagesArr = useSF ? (p.images?.nodes || []) : ((p.images?.edges || []).map(e=>e.node));
-        if(!imagesArr.length) continue;
-
-        const localizedTitle = p.title || "";
-        const imageNodes = imagesArr.map(img=>{
-          const imgUrl = preferHost ? preferHostImageUrl(img.url, host) : img.url;
-          const resolved = (img.altText && img.altText.trim()) ? img.altText : localizedTitle;
-          return buildImageNode(imgUrl, resolved, resolved);
-        });
-
-        nodes.push(buildUrlNode(pageUrl, updatedAt, imageNodes));
-      }
-    }
+      const updatedAt = p.updatedAt;
+      const allImages = useSF ? (p.images?.nodes || []) : ((p.images?.edges || []).map(e=>e.node));
+      if(!allImages.length) return out.skip?.("products", handle, "no images");
+      const imagesArr = live(allImages);
+      if(!imagesArr.length) return out.skip?.("products", handle, "broken images");
 
-    // COLLECTIONS
-    if(type==="collections"||type==="all"){
-      const collections = useSF
-        ? await sfGetCollectionsSlice(offset, perPage, locale)
-        : await getCollectionsSlice(offset, perPage);
+      const localizedTitle = p.title || "";
+      const imageNodes = imagesArr.map(img=>{
+        const imgUrl = imageLoc(img.url);
+        const resolved = (img.altText && img.altText.trim()) ? img.altText : localizedTitle;
+        return buildImageNode(imgUrl, resolved, resolved);
+      });
 
-      for (const c of collections){
-        const pageUrl = pageUrlForCollection(host, c.handle);
-        const updatedAt = c.updatedAt;
-        const imgObj = c.image;
-        if (!imgObj?.url) continue;
+      const alternates = alternatesFor((h, l) => pageUrlForProduct(h, handle, p.onlineStoreUrl, l), host, locale);
+      await writeUrl(buildUrlNode(pageUrl, updatedAt, imageNodes, alternates) + "\n");
+    });
+    await fetchSection(paging,
+      o => sfGetProductsSlice(offset, perPage, locale, o),
+      o => getProductsSlice(offset, perPage, o));
+  }
 
-        const imgUrl = preferHost ? preferHostImageUrl(imgObj.url, host) : imgObj.url;
-        const resolved = (imgObj.altText && imgObj.altText.trim()) ? imgObj.altText : (c.title || "");
-        const imageNodes = [buildImageNode(imgUrl, resolved, resolved)];
+  // COLLECTIONS
+  if(type==="collections"||type==="all"){
+    const paging = eachNode(out, async c => {
+      const excludedFor = exclusionReason(c, hidden?.collections);
+      if (excludedFor) return out.exclude("collections", c.handle, excludedFor);
+      const pageUrl = pageUrlForCollection(host, c.handle, locale);
+      const updatedAt = c.updatedAt;
+      const imgObj = c.image;
+      if (!imgObj?.url) return out.skip?.("collections", c.handle, "no image");
+      if (!live([imgObj]).length) return out.skip?.("collections", c.handle, "broken image");
 
-        nodes.push(buildUrlNode(pageUrl, updatedAt, imageNodes));
-      }
-    }
+      const imgUrl = imageLoc(imgObj.url);
+      const resolved = (imgObj.altText && imgObj.altText.trim()) ? imgObj.altText : (c.title || "");
+      const imageNodes = [buildImageNode(imgUrl, resolved, resolved)];
+      const alternates = alternatesFor((h, l) => pageUrlForCollection(h, c.handle, l), host, locale);
+
+      await writeUrl(buildUrlNode(pageUrl, updatedAt, imageNodes, alternates) + "\n");
+    });
+    await fetchSection(paging,
+      o => sfGetCollectionsSlice(offset, perPage, locale, o),
+      o => getCollectionsSlice(offset, perPage, o));
+  }
+
+  const imageNodesFor = (images, fallbackTitle, fromApi=true) => images.map(img=>{
+    const imgUrl = imageLoc(img.url, fromApi);
+    const resolved = (img.altText && img.altText.trim()) ? img.altText : (fallbackTitle || "");
+    return buildImageNode(imgUrl, resolved, resolved);
+  });
+
+  // ARTICLES (hero image, title as alt fallback)
+  if(type==="articles"){
+    const paging = eachNode(out, async a => {
+      if (!a.image?.url || !a.blog?.handle) return out.skip?.("articles", a.handle, "no image");
+      if (!live([a.image]).length) return out.skip?.("articles", a.handle, "broken image");
+      const pageUrl = pageUrlForArticle(host, a.blog.handle, a.handle, locale);
+      const alternates = alternatesFor((h, l) => pageUrlForArticle(h, a.blog.handle, a.handle, l), host, locale);
+      await writeUrl(buildUrlNode(pageUrl, a.updatedAt || a.publishedAt, imageNodesFor([a.image], a.title), alternates) + "\n");
+    });
+    await fetchSection(paging,
+      o => sfGetArticlesSlice(offset, perPage, locale, o),
+      o => getArticlesSlice(offset, perPage, o));
+  }
+
+  // PAGES (images embedded in the body HTML)
+  if(type==="pages"){
+    const paging = eachNode(out, async pg => {
+      const images = imagesFromHtml(pg.body, host);
+      if (!images.length) return out.skip?.("pages", pg.handle, "no images");
+      const kept = live(images, false);
+      if (!kept.length) return out.skip?.("pages", pg.handle, "broken images");
+      const pageUrl = pageUrlForPage(host, pg.handle, locale);
+      const alternates = alternatesFor((h, l) => pageUrlForPage(h, pg.handle, l), host, locale);
+      await writeUrl(buildUrlNode(pageUrl, pg.updatedAt, imageNodesFor(kept, pg.title, false), alternates) + "\n");
+    });
+    await fetchSection(paging,
+      o => sfGetPagesSlice(offset, perPage, locale, o),
+      o => getPagesSlice(offset, perPage, o));
+  }
+
+  // METAOBJECTS (image file references in any field)
+  if(type==="metaobjects"){
+    if (!metaobjectType) throw new Error("type=metaobjects needs ?metaobject_type= or METAOBJECT_TYPES");
+    const paging = eachNode(out, async mo => {
+      const images = (mo.fields || [])
+        .flatMap(f => [f.reference, ...(f.references?.nodes || [])])
+        .map(r => r?.image)
+        .filter(img => img?.url);
+      if (!images.length) return out.skip?.("metaobjects", mo.handle, "no images");
+      const kept = live(images);
+      if (!kept.length) return out.skip?.("metaobjects", mo.handle, "broken images");
+      const title = (mo.fields || []).find(f => f.key === "title" || f.key === "name")?.value || mo.handle;
+      const pageUrl = pageUrlForMetaobject(host, mo.type, mo.handle, mo.onlineStoreUrl, locale);
+      const alternates = alternatesFor((h, l) => pageUrlForMetaobject(h, mo.type, mo.handle, mo.onlineStoreUrl, l), host, locale);
+      await writeUrl(buildUrlNode(pageUrl, mo.updatedAt, imageNodesFor(kept, title), alternates) + "\n");
+    });
+    await fetchSection(paging,
+      o => sfGetMetaobjectsSlice(metaobjectType, offset, perPage, locale, o),
+      o => getMetaobjectsSlice(metaobjectType, offset, perPage, o));
+  }
 
-    const xml=`<?xml version="1.0" encoding="UTF-8"?>
+  await out.write("</urlset>");
+  feedItems.inc({ feed: "image.xml", type }, items);
+  return out.body();
+}
+
+/** Response cache key for an /image.xml page */
+function imageFeedKey({ tenant, host, page, perPage, type, metaobjectType, preferHost, locale, image, dropBroken, filters }){
+  const img=Object.entries(image).map(([k,v])=>`${k}:${v}`).sort().join(",");
+  const filter=type==="products"?productFilterKey(filters):"";
+  return cacheKey({route:"image.xml",shop:tenant.shop,host,page,perPage,type,preferHost,locale,...(type==="metaobjects"?{metaobjectType}:{}),...(img?{img}:{}),...(dropBroken?{dropBroken}:{}),...(filter?{filter}:{})});
+}
+
+app.get(["/image.xml", "/image.xml.gz"], async (req,res)=>{
+  try{
+    const tenant=ensureTenant(req,res); if(!tenant) return;
+    if(!verifyProxyHmac(req, tenant)) return res.status(401).send("Invalid signature");
+
+    const params = feedParams(req, tenant);
+    if(params.type==="metaobjects" && !params.metaobjectType) return res.status(400).type("text/plain").send("type=metaobjects needs ?metaobject_type= or METAOBJECT_TYPES");
+    return await sendCachedXml(req, res, imageFeedKey(params), out=>buildImageXml(params, out), { stream:true });
+
+  }catch(e){
+    console.error(e);
+    feedErrors.inc({ route: routeLabel(req) });
+    return res.status(500).send("Sitemap generation error");
+  }
+});
+
+/** One <video:video> for a VIDEO/EXTERNAL_VIDEO media node (Storefront or Admin shape), or null */
+function videoNodeFromMedia(m, product, host, preferHost){
+  if(m?.mediaContentType!=="VIDEO" && m?.mediaContentType!=="EXTERNAL_VIDEO") return null;
+  const thumb = m.previewImage?.url || m.preview?.image?.url;
+  if(!thumb) return null;
+
+  const sources = m.sources || [];
+  const mp4 = sources.find(s=>/mp4/i.test(s.mimeType||"")) || sources[0];
+  const contentLoc = m.mediaContentType==="VIDEO" ? mp4?.url : null;
+  const playerLoc = m.mediaContentType==="EXTERNAL_VIDEO" ? m.embedUrl : null;
+  if(!contentLoc && !playerLoc) return null;
+
+  // Admin reports milliseconds; Google accepts 1..28800 seconds
+  const durationSec = m.duration ? Math.min(Math.max(Math.round(m.duration/1000),1),28800) : null;
+  const title = (m.alt && m.alt.trim()) ? m.alt : (product.title || "");
+  const description = ((product.description || "").trim() || product.title || "").slice(0, 2048);
+  return buildVideoNode({
+    thumbnailLoc: preferHost ? preferHostImageUrl(thumb, host) : thumb,
+    title, description, contentLoc, playerLoc, durationSec
+  });
+}
+
+/** Complete /video.xml document for one page */
+async function buildVideoXml({ tenant, host, page, perPage, preferHost, locale, country, filters }, out=xmlCollector()){
+  const offset=(page-1)*perPage;
+  const api = { tenant, country, filters, locale };
+  let useSF = false;
+  let items = 0;
+  const writeUrl = xml => { items++; return out.write(xml); };
+  const hidden = await feedSeoHidden(tenant);
+
+  await out.write(`<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
-        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
-${nodes.join("\n")}
-</urlset>`;
+        xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"
+        xmlns:xhtml="http://www.w3.org/1999/xhtml">
+`);
 
-    responseCache.set(key,{ body:xml, expiresAt: now + CACHE_TTL_SECONDS*1000 });
-    setXmlHeaders(res);
-    return res.status(200).send(xml);
+  const paging = eachNode(out, async p => {
+    const excludedFor = exclusionReason(p, hidden?.products);
+    if(excludedFor) return out.exclude("products", p.handle, excludedFor);
+    const mediaArr = useSF ? (p.media?.nodes || []) : ((p.media?.edges || []).map(e=>e.node));
+    const videoNodes = mediaArr.map(m=>videoNodeFromMedia(m, p, host, preferHost)).filter(Boolean);
+    if(!videoNodes.length) return;
+
+    const pageUrl = pageUrlForProduct(host, p.handle, p.onlineStoreUrl, locale);
+    const alternates = alternatesFor((h, l) => pageUrlForProduct(h, p.handle, p.onlineStoreUrl, l), host, locale);
+    await writeUrl(buildUrlNode(pageUrl, p.updatedAt, videoNodes, alternates) + "\n");
+  });
+  await withFailover(tenant, out, paging, (src, pg) => {
+    useSF = src === "sf";
+    return useSF ? sfGetProductVideosSlice(offset, perPage, locale, { ...pg, ...api }) : getProductVideosSlice(offset, perPage, { ...pg, ...api });
+  });
+
+  await out.write("</urlset>");
+  feedItems.inc({ feed: "video.xml", type: "products" }, items);
+  return out.body();
+}
+
+/** Response cache key for a /video.xml page */
+function videoFeedKey({ tenant, host, page, perPage, preferHost, locale, filters }){
+  const filter=productFilterKey(filters);
+  return cacheKey({route:"video.xml",shop:tenant.shop,host,page,perPage,preferHost,locale,...(filter?{filter}:{})});
+}
+
+app.get(["/video.xml", "/video.xml.gz"], async (req,res)=>{
+  try{
+    const tenant=ensureTenant(req,res); if(!tenant) return;
+    if(!verifyProxyHmac(req, tenant)) return res.status(401).send("Invalid signature");
+
+    const params = feedParams(req, tenant);
+    return await sendCachedXml(req, res, videoFeedKey(params), out=>buildVideoXml(params, out), { stream:true });
 
   }catch(e){
     console.error(e);
+    feedErrors.inc({ route: routeLabel(req) });
     return res.status(500).send("Sitemap generation error");
   }
 });
@@ -424,57 +2225,836 @@ ${nodes.join("\n")}
 /* ---------- Diagnostics ---------- */
 
 app.get("/echo", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
   res.status(200).type("text/plain").send(`echo ok | host=${req.get("x-forwarded-host") || req.get("host")} | path=${req.path}`);
 });
 
 app.get("/proxy-self-test", (req, res) => {
-  const ok = verifyProxyHmac(req);
+  if (!ensureAdmin(req, res)) return;
+  const ok = verifyProxyHmac(req, tenantFor(req));
   res.status(ok ? 200 : 401).type("text/plain").send(ok ? "proxy hmac ok" : "proxy hmac invalid");
 });
 
 app.get("/proxy-debug", (req, res) => {
-  const q = { ...req.query };
-  const given = (q.signature || q.sig || "").toString().toLowerCase();
-  delete q.signature; delete q.sig;
-  const payload = Object.keys(q).sort().map(k => `${k}=${q[k]}`).join("");
-  const expected = SHARED_SECRET
-    ? crypto.createHmac("sha256", SHARED_SECRET).update(payload).digest("hex").toLowerCase()
+  if (!ensureAdmin(req, res)) return;
+  const tenant = tenantFor(req);
+  const check = checkProxySignature(req, tenant);
+  const expected = !tenant ? "(UNKNOWN SHOP)" : tenant.sharedSecrets.length
+    ? crypto.createHmac("sha256", tenant.sharedSecrets[0]).update(check.payload).digest("hex").toLowerCase()
     : "(SHARED_SECRET MISSING)";
   res.type("text/plain").send(
     [
       `host: ${req.get("host")}`,
+      `tenant: ${tenant?.shop || "(none)"}`,
       `path: ${req.path}`,
-      `payload: ${payload}`,
-      `expected signature: ${expected}`,
-      `given signature:    ${given}`,
-      `match: ${expected === given}`,
+      `payload: ${check.payload}`,
+      `expected signature: ${expected} (current secret)`,
+      `given signature:    ${check.provided}`,
+      `matched secret: ${check.secretIndex < 0 ? "none" : `#${check.secretIndex + 1} of ${tenant.sharedSecrets.length}`}`,
+      `timestamp age: ${check.ageSeconds === null ? "n/a" : `${check.ageSeconds}s`} (max ${PROXY_MAX_SKEW_SECONDS || "unchecked"})`,
+      `result: ${check.ok ? "ok" : check.reason}`,
+    ].join("\n")
+  );
+});
+
+app.get("/routing-debug", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const host = stripPort(String(req.query.host || req.get("x-forwarded-host") || req.get("host") || "")).toLowerCase();
+  const tenant = tenantForHost(host);
+  const routing = tenant?.routing || ROUTING;
+  const rule = resolveRouting(host);
+  const idx = routing.rules.indexOf(rule);
+  const locales = [rule.defaultLocale, ...Object.keys(rule.locales).filter(l => l !== rule.defaultLocale)];
+  res.type("text/plain").send(
+    [
+      `config: ${routing.source}`,
+      `host: ${host}`,
+      `tenant: ${tenant ? `${tenant.shop} (${TENANTS.source})` : "(unknown host)"}`,
+      `rule: ${idx >= 0 ? `#${idx} (${rule.match.join(", ")})` : "fallback"}`,
+      `default locale: ${rule.defaultLocale}`,
+      `storefront country: ${rule.country || "(none)"}`,
+      ...locales.map(l => `locale ${l}: hreflang=${hreflangFor(host, l)} product=${pageUrlForProduct(host, "example", null, l)} collection=${pageUrlForCollection(host, "example", l)}`),
     ].join("\n")
   );
 });
 
+/* ---------- Webhooks ---------- */
+
+const WEBHOOK_TYPES = { products: "products", collections: "collections" };
+
+/**
+ * Drop every cached response of `shop` that lists `type` (feeds and indexes, all hosts and locales)
+ * and its cursor checkpoints, since an edit reorders the UPDATED_AT sort, and the type's stored
+ * bulk rows.
+ */
+async function invalidateType(shop, type){
+  let purged = 0;
+  for (const key of await responseCache.keys()) {
+    const k = parseCacheKey(key);
+    if (k.shop !== shop) continue;
+    const hit = (k.route === "image.xml" && (k.type === type || k.type === "all"))
+      || (k.route === "video.xml" && type === "products")
+      || (k.route?.endsWith(":index") && String(k.types || "").split(",").some(t => t.split(":")[0] === type));
+    if (hit && await responseCache.delete(key)) purged++;
+  }
+  let checkpoints = 0;
+  for (const key of cursorCheckpoints.keys()) {
+    const k = parseCacheKey(key);
+    if (k.shop === shop && k.type === type) { cursorCheckpoints.delete(key); checkpoints++; }
+  }
+  delete bulkCatalogs.get(shop)?.catalog[type]; // rebuild from the live API, not the bulk snapshot
+  seoHiddenCache.delete(shop);
+  return { purged, checkpoints };
+}
+
+app.post("/webhooks/shopify", express.raw({ type: "*/*", limit: "5mb" }), async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const shopDomain = String(req.get("x-shopify-shop-domain") || "").toLowerCase();
+    const tenant = TENANTS.fallback || TENANTS.list.find(t => t.shop === shopDomain);
+    if (!tenant) return res.status(404).type("text/plain").send(`Unknown shop: no tenant configured for shop "${shopDomain}"`);
+    if (!verifyWebhookHmac(rawBody, req.get("x-shopify-hmac-sha256"), tenant)) return res.status(401).send("Invalid signature");
+
+    const topic = String(req.get("x-shopify-topic") || "");
+    const type = WEBHOOK_TYPES[topic.split("/")[0]];
+    if (!type) return res.status(200).json({ topic, ignored: true });
+
+    const result = await invalidateType(tenant.shop, type);
+    console.log(`[webhook] ${topic} from ${shopDomain || "?"}: purged ${result.purged} responses, ${result.checkpoints} checkpoint sets`);
+    return res.status(200).json({ topic, type, ...result });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).send("Webhook processing error");
+  }
+});
+
+/* ---------- Admin: cache ---------- */
+
+/** Cache keys matching ?key= (exact), ?match= (substring) or ?all=1 */
+async function selectCacheKeys(q){
+  if (q.key) return [String(q.key)];
+  const keys = await responseCache.keys();
+  if (String(q.all || "") === "1") return keys;
+  return q.match ? keys.filter(k => k.includes(String(q.match))) : [];
+}
+
+app.get("/admin/cache", async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  try {
+    const keys = (await responseCache.keys()).filter(k => !req.query.match || k.includes(String(req.query.match)));
+    const now = Date.now();
+    const entries = [];
+    for (const key of keys.sort()) {
+      const e = await responseCache.get(key);
+      if (!e) continue;
+      entries.push({ key, expiresAt: new Date(e.expiresAt).toISOString(), stale: e.expiresAt <= now, bytes: Buffer.byteLength(e.body) });
+    }
+    res.json({ backend: responseCache.name, count: entries.length, entries });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/admin/cache/purge", async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  try {
+    let purged = 0;
+    for (const key of await selectCacheKeys(req.query)) if (await responseCache.delete(key)) purged++;
+    res.json({ backend: responseCache.name, purged });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /* ---------- Index, health ---------- */
-app.get("/image-index.xml",(req,res)=>{
-  const forwardedHost = req.get("x-forwarded-host") || req.get("host");
-  const host = stripPort(forwardedHost);
-  const pages = Number(req.query.pages || 5);
-  const type = String(req.query.type || "products");
-  const perPage = Number(req.query.per_page || DEFAULT_PER_PAGE);
-  const localeParam = req.query.locale ? `&locale=${encodeURIComponent(req.query.locale)}` : "";
-
-  const items = Array.from({ length: pages }, (_, i) => i + 1).map((n) => {
-    const rawUrl = `https://${host}/apps/sitemaps/image.xml?type=${encodeURIComponent(type)}&page=${n}&per_page=${perPage}${localeParam}`;
-    return `<sitemap><loc>${x(rawUrl)}</loc></sitemap>`;
-  });
+/** Locales an index lists: `locale` when asked for, else the host's default ("") and its routed alternates */
+function indexLocales(host, locale){
+  return locale ? [locale] : ["", ...Object.keys(resolveRouting(host).locales)];
+}
 
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+/**
+ * Sitemap index listing one child per real page of each type in `types`,
+ * sized from the live catalog instead of a fixed `pages` count.
+ */
+async function buildIndexXml({ tenant, feed, host, perPage, types, locale, filters }, out){
+  const locales = indexLocales(host, locale);
+  const items = [];
+  for (const t of types) {
+    const [kind, metaobjectType] = t.split(":"); // "metaobjects:<type>"
+    const typeParam = `type=${kind}${metaobjectType ? `&metaobject_type=${encodeURIComponent(metaobjectType)}` : ""}${kind === "products" ? productFilterParams(filters) : ""}`;
+    const pages = await pagesForType(tenant, kind, perPage, metaobjectType, resolveRouting(host).country, kind === "products" ? filters : null, out,
+      getLocaleForHost(host, locale));
+    for (const loc of locales) {
+      const localeParam = loc ? `&locale=${encodeURIComponent(loc)}` : "";
+      for (const { page, lastmod } of pages) {
+        const rawUrl = `https://${host}/apps/sitemaps/${feed}?${typeParam}&page=${page}&per_page=${perPage}${localeParam}`;
+        items.push(`<sitemap><loc>${x(rawUrl)}</loc>${lastmod?`<lastmod>${x(lastmod)}</lastmod>`:""}</sitemap>`);
+      }
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
 <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
 ${items.join("\n")}
 </sitemapindex>`;
+}
+/** Response cache key for a sitemap index */
+function indexFeedKey({ tenant, feed, host, perPage, types, locale, filters }){
+  const filter = productFilterKey(filters);
+  return cacheKey({route:`${feed}:index`,shop:tenant.shop,host,perPage,types:types.join(","),locale,...(filter?{filter}:{})});
+}
+function sitemapIndexRoute(feed, types){
+  return async (req,res)=>{
+    try{
+      const tenant=ensureTenant(req,res); if(!tenant) return;
+      if(!verifyProxyHmac(req, tenant)) return res.status(401).send("Invalid signature");
 
-  setXmlHeaders(res);
-  return res.status(200).send(xml);
+      const { host, perPage, type, filters } = feedParams(req, tenant);
+      const wanted = types.filter(t => type === "all" || type === t.split(":")[0]);
+      const params = { tenant, feed, host, perPage, types: wanted, locale: req.query.locale || "", filters };
+      return await sendCachedXml(req, res, indexFeedKey(params), out=>buildIndexXml(params, out));
+
+    }catch(e){
+      console.error(e);
+      feedErrors.inc({ route: routeLabel(req) });
+      return res.status(500).send("Sitemap index generation error");
+    }
+  };
+}
+app.get(["/image-index.xml", "/image-index.xml.gz"], sitemapIndexRoute("image.xml", INDEX_TYPES));
+// /video.xml pages walk all products and keep those with video media, so this index is sized
+// from the full product count too: on a catalog where few products have video most of its
+// children are empty <urlset>s (valid, just wasted fetches). Sizing it from video products
+// alone would need the video feed to page over those only.
+app.get(["/video-index.xml", "/video-index.xml.gz"], sitemapIndexRoute("video.xml", ["products"]));
+
+/* ---------- Pre-warming ---------- */
+
+// Run in progress and the last finished one, for /admin/prewarm
+const prewarm = { running: null, last: null, nextRunAt: null, timer: null };
+const PREWARM_MAX_FAILURES = 100;
+
+/** Hosts to pre-warm: PREWARM_HOSTS, else every literal (non-glob) tenant host and HREFLANG_HOSTS entry */
+function prewarmHosts(){
+  if (PREWARM_HOSTS.length) return PREWARM_HOSTS;
+  const hosts = [...TENANTS.list.flatMap(t => t.hosts), ...HREFLANG_HOSTS.map(a => a.host)].map(h => h.toLowerCase());
+  return [...new Set(hosts.filter(h => !h.includes("*")))];
+}
+
+/** Child URLs listed by a sitemap index body */
+function indexChildren(body){
+  return [...body.matchAll(/<loc>([^<]*)<\/loc>/g)].map(m => new URL(m[1].replace(/&amp;/g, "&")));
+}
+
+/** Regenerate one cache entry in a generation slot, unless that key is already generating */
+async function regenerate(key, generate){
+  if (generations.has(key)) return false;
+  const out = xmlCollector();
+  await singleFlight(key, withGenerationSlot(async () => cacheSet(key, await tracked("prewarm", () => generate(out)), out)));
+  return true;
+}
+
+/**
+ * Rebuild the default image and video sitemap indexes of every pre-warm host, then every page
+ * they list (all routed locales), through the same builders and cache keys as the routes.
+ */
+async function runPrewarm(){
+  const run = { startedAt: new Date().toISOString(), finishedAt: null, durationMs: null, hosts: [], pages: 0, skipped: 0, failed: 0, failures: [] };
+  const started = Date.now();
+  prewarm.running = run;
+  try {
+    for (const host of prewarmHosts()) {
+      const tenant = tenantForHost(host);
+      if (!tenant) { prewarmFailed(run, host, null, new Error("no tenant configured for this host")); continue; }
+      run.hosts.push(host);
+      await prewarmHost(tenant, host, run);
+    }
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - started;
+    prewarm.last = run;
+    prewarm.running = null;
+    console.log(`[prewarm] ${run.pages} pages for ${run.hosts.length} host(s) in ${run.durationMs}ms, ${run.failed} failed`);
+  }
+  return run;
+}
+
+function prewarmFailed(run, host, url, e){
+  run.failed++;
+  if (run.failures.length < PREWARM_MAX_FAILURES) run.failures.push({ host, url, error: e.message });
+}
+
+/** Cache one host's image/video indexes and every page they list; counts go on `run` */
+async function prewarmHost(tenant, host, run){
+  const feeds = [
+    { feed: "image.xml", types: INDEX_TYPES, build: buildImageXml, keyFor: imageFeedKey },
+    { feed: "video.xml", types: ["products"], build: buildVideoXml, keyFor: videoFeedKey }
+  ];
+  for (const { feed, types, build, keyFor } of feeds) {
+    const index = { tenant, feed, host, perPage: DEFAULT_PER_PAGE, types, locale: "", filters: null };
+    let children;
+    try {
+      const out = xmlCollector();
+      const body = await buildIndexXml(index, out);
+      await cacheSet(indexFeedKey(index), body, out);
+      children = indexChildren(body);
+    } catch (e) {
+      prewarmFailed(run, host, `/apps/sitemaps/${feed.replace(".xml", "-index.xml")}`, e);
+      continue;
+    }
+    await pMap(children, PREWARM_CONCURRENCY, async url => {
+      const params = feedParamsFor(tenant, host, Object.fromEntries(url.searchParams));
+      try {
+        if (await regenerate(keyFor(params), out => build(params, out))) run.pages++;
+        else run.skipped++;
+      } catch (e) {
+        prewarmFailed(run, host, url.pathname + url.search, e);
+      }
+    });
+  }
+}
+
+/** Next scheduled run; scheduled after the previous one finishes so runs never overlap */
+function schedulePrewarm(){
+  if (!PREWARM_INTERVAL_SECONDS) return;
+  clearTimeout(prewarm.timer);
+  prewarm.nextRunAt = new Date(Date.now() + PREWARM_INTERVAL_SECONDS * 1000).toISOString();
+  prewarm.timer = setTimeout(() => {
+    prewarm.nextRunAt = null;
+    (prewarm.running ? Promise.resolve() : runPrewarm())
+      .catch(e => console.error("[prewarm]", e))
+      .finally(schedulePrewarm);
+  }, PREWARM_INTERVAL_SECONDS * 1000);
+}
+
+function prewarmStatus(){
+  const { timer, ...status } = prewarm;
+  return { enabled: PREWARM_INTERVAL_SECONDS > 0, intervalSeconds: PREWARM_INTERVAL_SECONDS, concurrency: PREWARM_CONCURRENCY, hosts: prewarmHosts(), ...status };
+}
+
+app.get("/admin/prewarm", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  res.json(prewarmStatus());
+});
+
+/** Start a run now (202), or 409 while one is in progress */
+app.post("/admin/prewarm", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  if (prewarm.running) return res.status(409).json(prewarmStatus());
+  runPrewarm().catch(e => console.error("[prewarm]", e));
+  res.status(202).json(prewarmStatus());
+});
+
+/* ---------- Bulk catalog (Admin bulk operations) ---------- */
+
+// Same selections, filters and order as getProductsSlice/getProductVideosSlice/getCollectionsSlice,
+// so pages built from the bulk file match pages built by paging
+const BULK_QUERIES = {
+  products: `{
+    products(query:"status:active", sortKey:UPDATED_AT, reverse:true) {
+      edges { node {
+        id title description handle onlineStoreUrl updatedAt tags isGiftCard
+        seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+        images { edges { node { id url altText } } }
+        media { edges { node {
+          id mediaContentType alt
+          preview { image { url } }
+          ... on MediaImage { image { url } }
+          ... on Video { duration sources { url mimeType } }
+          ... on ExternalVideo { embedUrl host }
+        } } }
+      } }
+    }
+  }`,
+  collections: `{
+    collections(query:"published_status:published", sortKey:UPDATED_AT, reverse:true) {
+      edges { node {
+        id title handle updatedAt
+        seoHidden: metafield(namespace:"seo", key:"hidden") { value }
+        image { id url altText }
+      } }
+    }
+  }`
+};
+
+// shop -> latest bulk job, for /admin/bulk
+const bulkJobs = new Map();
+// shop -> { catalog, fetchedAt } from its last completed bulk fetch, until BULK_MAX_AGE_SECONDS
+// or a webhook for the type (invalidateType)
+const bulkCatalogs = new Map();
+
+/**
+ * Bulk rows standing in for Admin paging of `type`: the catalog of a bulk build, else the shop's
+ * stored one while it is fresh. Only unfiltered listings can use them.
+ */
+function bulkRows(tenant, type, filters){
+  if (filters || !tenant) return null;
+  if (tenant.bulk) return tenant.bulk[type] || null;
+  const stored = bulkCatalogs.get(tenant.shop);
+  if (!stored) return null;
+  if (Date.now() - Date.parse(stored.fetchedAt) > BULK_MAX_AGE_SECONDS * 1000) { bulkCatalogs.delete(tenant.shop); return null; }
+  return stored.catalog[type] || null;
+}
+
+/** Start one bulk query and poll it to the end; `progress` mirrors the operation for the status route */
+async function runBulkOperation(tenant, query, progress, signal){
+  const started = await adminGraphQL(tenant, `
+    mutation($query:String!) {
+      bulkOperationRunQuery(query:$query) { bulkOperation { id status } userErrors { field message } }
+    }`, { query }, signal);
+  const { bulkOperation, userErrors } = started?.data?.bulkOperationRunQuery || {};
+  if (userErrors?.length || !bulkOperation) throw new Error(`bulkOperationRunQuery: ${(userErrors || []).map(e => e.message).join("; ") || "no operation"}`);
+  Object.assign(progress, bulkOperation);
+  while (!["COMPLETED", "FAILED", "CANCELED", "EXPIRED"].includes(progress.status)) {
+    await sleep(BULK_POLL_SECONDS * 1000, signal);
+    const json = await adminGraphQL(tenant, `
+      query($id:ID!) {
+        node(id:$id) { ... on BulkOperation { id status errorCode objectCount fileSize url partialDataUrl } }
+      }`, { id: bulkOperation.id }, signal);
+    Object.assign(progress, json?.data?.node || {});
+  }
+  if (progress.status !== "COMPLETED") throw new Error(`bulk operation ${progress.id} ${progress.status}${progress.errorCode ? ` (${progress.errorCode})` : ""}`);
+  return progress.url; // null when the query matched nothing
+}
+
+/**
+ * Stream a bulk JSONL file into Admin-shaped nodes (`images.edges`, `media.edges`, `imageMedia`)
+ * in file order. Child rows (images, media) follow their parent and point at it with __parentId.
+ */
+async function readBulkFile(url, signal){
+  const nodes = []; const byId = new Map();
+  if (!url) return nodes;
+  const resp = await fetch(url, { signal });
+  if (!resp.ok) throw new Error(`bulk file ${resp.status}`);
+  for await (const line of readline.createInterface({ input: resp.body, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    const parent = row.__parentId && byId.get(row.__parentId);
+    if (!row.__parentId) {
+      byId.set(row.id, row);
+      nodes.push(row);
+    } else if (parent) {
+      delete row.__parentId;
+      const list = row.mediaContentType ? (parent.media ||= { edges: [] }) : (parent.images ||= { edges: [] });
+      list.edges.push({ node: row });
+    }
+  }
+  for (const n of nodes) {
+    if (!n.id?.includes("/Product/")) continue;
+    // the paged queries ask for images(first:50), media(first:20) and imageMedia: media(first:50)
+    const media = n.media?.edges || [];
+    n.images = { edges: (n.images?.edges || []).slice(0, 50) };
+    n.media = { edges: media.slice(0, 20) };
+    n.imageMedia = { nodes: media.slice(0, 50).map(e => e.node).filter(m => m.mediaContentType === "IMAGE").map(m => ({ id: m.id, image: m.image })) };
+  }
+  return nodes;
+}
+
+/** Products and collections of a tenant through bulk operations, one after the other (Shopify runs one per shop) */
+async function fetchBulkCatalog(tenant, job, signal){
+  const catalog = {};
+  for (const type of Object.keys(BULK_QUERIES)) {
+    job.phase = type;
+    const progress = job.operations[type] = { id: null, status: "STARTING" };
+    const url = await runBulkOperation(tenant, BULK_QUERIES[type], progress, signal);
+    catalog[type] = await readBulkFile(url, signal);
+    job.objects[type] = catalog[type].length;
+  }
+  return catalog;
+}
+
+/** The tenant reading products/collections from a bulk catalog, through the Admin builders only */
+function bulkTenant(tenant, catalog){
+  return { ...tenant, storefrontToken: "", bulk: catalog };
+}
+
+/**
+ * Fetch the catalog with bulk operations, then cache every index and page of `hosts` from it
+ * (the page walk is the pre-warm one, see prewarmHost).
+ */
+async function runBulkJob(job, tenant, hosts){
+  const started = Date.now();
+  try {
+    const catalog = await fetchBulkCatalog(tenant, job, null);
+    // later Admin reads of this shop's products/collections (misses, revalidation) use it too
+    bulkCatalogs.set(tenant.shop, { catalog, fetchedAt: new Date().toISOString() });
+    job.phase = "building";
+    const fromBulk = bulkTenant(tenant, catalog);
+    for (const host of hosts) await prewarmHost(fromBulk, host, job.build);
+    job.state = "completed";
+  } catch (e) {
+    job.state = "failed";
+    job.error = e.message;
+    console.error("[bulk]", tenant.shop, e);
+  } finally {
+    job.phase = null;
+    job.finishedAt = new Date().toISOString();
+    job.durationMs = Date.now() - started;
+    console.log(`[bulk] ${tenant.shop} ${job.state}: ${job.objects.products ?? 0} products, ${job.objects.collections ?? 0} collections, ${job.build.pages} pages in ${job.durationMs}ms`);
+  }
+}
+
+/** Tenant and hosts for /admin/bulk: ?shop= or ?host= picks the tenant; ?host= (repeatable) else its pre-warm hosts */
+function bulkTarget(req, res){
+  const hosts = [].concat(req.query.host || []).map(h => stripPort(String(h)).toLowerCase()).filter(Boolean);
+  const tenant = req.query.shop ? tenantFor(req) : tenantForHost(hosts[0] || stripPort(req.get("x-forwarded-host") || req.get("host") || ""));
+  if (!tenant) { res.status(404).type("text/plain").send("Unknown shop: no tenant configured for this shop/host"); return null; }
+  return { tenant, hosts: hosts.length ? hosts : prewarmHosts().filter(h => tenantForHost(h) === tenant) };
+}
+
+/** Start a bulk build for one shop (202), or 409 while its last one is still running */
+app.post("/admin/bulk", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const target = bulkTarget(req, res); if (!target) return;
+  const { tenant, hosts } = target;
+  if (!tenant.adminApiToken) return res.status(400).json({ error: `${tenant.shop} has no Admin API token` });
+  if (!hosts.length) return res.status(400).json({ error: "No hosts to build: pass ?host= or set PREWARM_HOSTS" });
+  const running = bulkJobs.get(tenant.shop);
+  if (running?.state === "running") return res.status(409).json(running);
+  const job = { shop: tenant.shop, hosts, state: "running", phase: null, startedAt: new Date().toISOString(), finishedAt: null, durationMs: null,
+    operations: {}, objects: {}, build: { pages: 0, skipped: 0, failed: 0, failures: [] }, error: null };
+  bulkJobs.set(tenant.shop, job);
+  runBulkJob(job, tenant, hosts);
+  res.status(202).json(job);
+});
+
+/** Latest bulk job per shop (?shop= for one), with the running operation's status and object count */
+app.get("/admin/bulk", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  if (!req.query.shop) return res.json({ jobs: [...bulkJobs.values()] });
+  const job = bulkJobs.get(String(req.query.shop).toLowerCase());
+  if (!job) return res.status(404).json({ error: "No bulk job has run for this shop; POST /admin/bulk first" });
+  res.json(job);
 });
 
+/* ---------- Static export ---------- */
+
+/** File name for an /image.xml child URL: image-<type>[-<metaobject type>]-<page>[.<locale>].xml */
+function exportFileName(url){
+  const q = url.searchParams;
+  const safe = v => String(v).replace(/[^A-Za-z0-9_-]+/g, "_");
+  const parts = ["image", q.get("type") || "all", q.get("metaobject_type"), q.get("page") || "1"].filter(Boolean).map(safe);
+  return `${parts.join("-")}${q.get("locale") ? `.${safe(q.get("locale"))}` : ""}.xml`;
+}
+
+/**
+ * Write <out>/<host>/image-index.xml and every page it lists through the route builders, so
+ * files match what /image-index.xml and /image.xml return. `baseUrl` rewrites the index
+ * entries to the exported files (the only difference from the live index).
+ */
+async function exportSitemaps({ hosts, outDir, perPage, gzipped, baseUrl, bulk }){
+  const catalogs = new Map(); // shop -> bulk catalog, fetched once per shop
+  const started = Date.now();
+  const ext = gzipped ? ".gz" : "";
+  const write = async (file, body) => {
+    const data = gzipped ? await gzip(body) : body;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file + ext, data);
+    return data.length;
+  };
+  const manifest = { generatedAt: new Date().toISOString(), durationMs: null, perPage, gzip: gzipped, hosts: [] };
+  for (const host of hosts) {
+    let tenant = tenantForHost(host);
+    const entry = { host, shop: tenant?.shop || null, index: null, files: [], urls: 0, failures: [], durationMs: null };
+    manifest.hosts.push(entry);
+    const hostStarted = Date.now();
+    if (!tenant) { entry.failures.push({ url: null, error: "no tenant configured for this host" }); continue; }
+    try {
+      if (bulk) {
+        if (!catalogs.has(tenant.shop)) {
+          const job = { operations: {}, objects: {} };
+          catalogs.set(tenant.shop, await fetchBulkCatalog(tenant, job, null));
+          console.log(`[export] ${tenant.shop} bulk: ${job.objects.products} products, ${job.objects.collections} collections`);
+        }
+        tenant = bulkTenant(tenant, catalogs.get(tenant.shop));
+      }
+      const index = { tenant, feed: "image.xml", host, perPage, types: INDEX_TYPES, locale: "", filters: null };
+      const indexBody = await buildIndexXml(index, xmlCollector());
+      const children = indexChildren(indexBody);
+      await pMap(children, PREWARM_CONCURRENCY, async url => {
+        const file = path.join(host, exportFileName(url));
+        const pageStarted = Date.now();
+        try {
+          const out = xmlCollector();
+          const body = await buildImageXml(feedParamsFor(tenant, host, Object.fromEntries(url.searchParams)), out);
+          const bytes = await write(path.join(outDir, file), body);
+          const urls = (body.match(/<url>/g) || []).length;
+          entry.urls += urls;
+          entry.files.push({ file: file + ext, url: url.pathname + url.search, urls, bytes,
+            ms: Date.now() - pageStarted, source: sourceHeader(out.source), excluded: out.excluded });
+        } catch (e) {
+          entry.failures.push({ url: url.pathname + url.search, error: e.message });
+        }
+      });
+      const rewritten = baseUrl
+        ? indexBody.replace(/<loc>([^<]*)<\/loc>/g, (_m, loc) => `<loc>${x(`${baseUrl}/${host}/${exportFileName(new URL(loc.replace(/&amp;/g, "&")))}${ext}`)}</loc>`)
+        : indexBody;
+      entry.index = path.join(host, "image-index.xml") + ext;
+      await write(path.join(outDir, host, "image-index.xml"), rewritten);
+      entry.files.sort((a, b) => a.file.localeCompare(b.file));
+    } catch (e) {
+      entry.failures.push({ url: "/apps/sitemaps/image-index.xml", error: e.message });
+    }
+    entry.durationMs = Date.now() - hostStarted;
+  }
+  manifest.durationMs = Date.now() - started;
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(path.join(outDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/** `node server.js export ...`: exit 1 when any page failed, 2 on bad arguments */
+async function exportCli(argv){
+  let opts;
+  try {
+    ({ values: opts } = parseArgs({ args: argv, options: {
+      out: { type: "string" }, host: { type: "string", multiple: true },
+      "per-page": { type: "string" }, gzip: { type: "boolean" }, "base-url": { type: "string" }, bulk: { type: "boolean" }
+    } }));
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+  const hosts = (opts.host || []).map(h => stripPort(h.trim()).toLowerCase()).filter(Boolean);
+  if (!hosts.length) hosts.push(...prewarmHosts());
+  if (!opts.out || !hosts.length) {
+    console.error("usage: node server.js export --out dir/ [--host shop.example]... [--per-page 200] [--gzip] [--base-url url] [--bulk]\n(no --host: PREWARM_HOSTS, tenant hosts or HREFLANG_HOSTS)");
+    return 2;
+  }
+  const perPage = Math.min(Math.max(parseInt(opts["per-page"] || String(DEFAULT_PER_PAGE), 10) || DEFAULT_PER_PAGE, 1), MAX_URLS_PER_FEED);
+  const manifest = await exportSitemaps({ hosts, outDir: opts.out, perPage, gzipped: !!opts.gzip, baseUrl: (opts["base-url"] || "").replace(/\/+$/, ""), bulk: !!opts.bulk });
+  let failed = 0;
+  for (const h of manifest.hosts) {
+    failed += h.failures.length;
+    console.log(`[export] ${h.host}: ${h.files.length} files, ${h.urls} urls in ${h.durationMs}ms${h.failures.length ? `, ${h.failures.length} failed` : ""}`);
+    for (const f of h.failures) console.error(`[export] ${h.host} ${f.url || ""} ${f.error}`);
+  }
+  console.log(`[export] manifest: ${path.join(opts.out, "manifest.json")}`);
+  return failed ? 1 : 0;
+}
+
+/* ---------- Audit ---------- */
+
+// Sitemap protocol limits (sitemaps.org, Google image extension)
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+const SITEMAP_MAX_IMAGES_PER_URL = 1000;
+
+/**
+ * Every /image.xml page the index lists for `host`, built uncached, as { where, body, out }
+ * where `where` is "type/locale/page" and `out` the collector (for its skipped items).
+ */
+async function* imageFeedPages({ tenant, host, perPage, types, locale, image }){
+  const country = resolveRouting(host).country;
+  for (const t of types) {
+    const [kind, metaobjectType] = t.split(":");
+    const list = await pagesForType(tenant, kind, perPage, metaobjectType, country, null, null, getLocaleForHost(host, locale));
+    for (const loc of indexLocales(host, locale)) {
+      for (const { page } of list) {
+        const out = xmlCollector();
+        const body = await buildImageXml({ tenant, host, page, perPage, type: kind, metaobjectType, preferHost: true,
+          locale: getLocaleForHost(host, loc || undefined), country, image }, out);
+        yield { where: `${t}/${loc || "default"}/${page}`, body, out };
+      }
+    }
+  }
+}
+
+/**
+ * Check every page the index lists for `host` against the protocol limits, for duplicate <loc>
+ * across pages, for page URLs off `host` or not absolute, empty pages, and items skipped for lack of images.
+ */
+async function auditImageFeed({ tenant, host, perPage, types, locale, image }){
+  const seen = new Map(); // loc -> "type/locale/page" it first appeared on
+  const pages = []; const violations = []; const duplicates = []; const skipped = []; const excluded = {};
+  for await (const { where, body, out } of imageFeedPages({ tenant, host, perPage, types, locale, image })) {
+    const urls = [...body.matchAll(/<url>([\s\S]*?)<\/url>/g)].map(m => m[1]);
+    const bytes = Buffer.byteLength(body);
+    let maxImages = 0;
+    for (const u of urls) {
+      const pageLoc = (u.match(/<loc>([^<]*)<\/loc>/)?.[1] || "").replace(/&amp;/g, "&");
+      const images = [...u.matchAll(/<image:loc>([^<]*)<\/image:loc>/g)].map(m => m[1].replace(/&amp;/g, "&"));
+      maxImages = Math.max(maxImages, images.length);
+      if (images.length > SITEMAP_MAX_IMAGES_PER_URL) violations.push({ page: where, loc: pageLoc, rule: `more than ${SITEMAP_MAX_IMAGES_PER_URL} images (${images.length})` });
+      let pageHost = null;
+      try { const pu = new URL(pageLoc); if (/^https?:$/.test(pu.protocol)) pageHost = pu.hostname; } catch {}
+      if (pageHost !== host) violations.push({ page: where, loc: pageLoc, rule: pageHost ? `loc on host ${pageHost}, expected ${host}` : "loc is not an absolute URL" });
+      for (const img of images) if (!/^https?:\/\//.test(img)) violations.push({ page: where, loc: pageLoc, rule: `image:loc is not an absolute URL (${img})` });
+      if (seen.has(pageLoc)) duplicates.push({ loc: pageLoc, pages: [seen.get(pageLoc), where] });
+      else seen.set(pageLoc, where);
+    }
+    if (urls.length > SITEMAP_MAX_URLS) violations.push({ page: where, rule: `more than ${SITEMAP_MAX_URLS} URLs (${urls.length})` });
+    if (bytes > SITEMAP_MAX_BYTES) violations.push({ page: where, rule: `larger than ${SITEMAP_MAX_BYTES} bytes uncompressed (${bytes})` });
+    skipped.push(...out.skipped.map(sk => ({ page: where, ...sk })));
+    for (const [reason, n] of Object.entries(out.excluded)) excluded[reason] = (excluded[reason] || 0) + n;
+    pages.push({ page: where, urls: urls.length, bytes, maxImages, skipped: out.skipped.length, empty: urls.length === 0 });
+  }
+  const empty = pages.filter(p => p.empty).map(p => p.page);
+  return {
+    host, shop: tenant.shop, perPage, types, generatedAt: new Date().toISOString(),
+    ok: !violations.length && !duplicates.length && !empty.length,
+    totals: { pages: pages.length, urls: pages.reduce((n, p) => n + p.urls, 0), violations: violations.length, duplicates: duplicates.length, empty: empty.length, skipped: skipped.length, excluded },
+    pages, violations, duplicates, empty, skipped
+  };
+}
+
+function auditHtml(report){
+  const table = (head, rows) => `<table><tr>${head.map(h => `<th>${x(h)}</th>`).join("")}</tr>${
+    rows.map(r => `<tr>${r.map(c => `<td>${x(c ?? "")}</td>`).join("")}</tr>`).join("")}</table>`;
+  const section = (title, head, rows) => `<h2>${x(title)} (${rows.length})</h2>${rows.length ? table(head, rows) : "<p>None.</p>"}`;
+  return `<!doctype html><html><head><meta charset="utf-8"><title>Sitemap audit: ${x(report.host)}</title>
+<style>body{font:14px sans-serif;margin:2em}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:2px 8px;text-align:left}.bad{color:#b00}.good{color:#070}</style></head><body>
+<h1>Sitemap audit: ${x(report.host)}</h1>
+<p class="${report.ok ? "good" : "bad"}">${report.ok ? "No problems found" : "Problems found"}; shop ${x(report.shop)}, ${report.totals.pages} pages, ${report.totals.urls} URLs, generated ${x(report.generatedAt)}.</p>
+<p>Excluded: ${x(excludedHeader(report.totals.excluded) || "none")}.</p>
+${section("Pages", ["page", "urls", "bytes", "max images/url", "skipped"], report.pages.map(p => [p.page, p.urls, p.bytes, p.maxImages, p.skipped]))}
+${section("Violations", ["page", "loc", "rule"], report.violations.map(v => [v.page, v.loc, v.rule]))}
+${section("Duplicate locs", ["loc", "first page", "again on"], report.duplicates.map(d => [d.loc, ...d.pages]))}
+${section("Empty pages", ["page"], report.empty.map(p => [p]))}
+${section("Skipped items", ["page", "type", "handle", "reason"], report.skipped.map(sk => [sk.page, sk.type, sk.handle, sk.reason]))}
+</body></html>`;
+}
+
+app.get("/audit", async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  try {
+    const host = stripPort(String(req.query.host || req.get("x-forwarded-host") || req.get("host") || "")).toLowerCase();
+    const tenant = req.query.shop ? tenantFor(req) : tenantForHost(host);
+    if (!tenant) return res.status(404).type("text/plain").send(`Unknown shop: no tenant configured for host "${host}"`);
+    const perPage = Math.min(Math.max(parseInt(req.query.per_page || String(DEFAULT_PER_PAGE), 10), 1), MAX_URLS_PER_FEED);
+    const types = req.query.types ? String(req.query.types).split(",").map(s => s.trim()).filter(Boolean) : INDEX_TYPES;
+    const report = await auditImageFeed({ tenant, host, perPage, types, locale: String(req.query.locale || ""), image: imageOptionsFor(req.query, host) });
+    const html = req.query.format ? req.query.format === "html" : req.accepts(["json", "html"]) === "html";
+    if (html) return res.type("html").send(auditHtml(report));
+    return res.json(report);
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* ---------- Broken image check ---------- */
+
+// imageCheckKey(shop, image:loc) -> { url, status, location, contentType, error, checkedAt } from the latest HEAD check
+const imageChecks = new Map();
+// cacheKey({shop,host}) -> { state, startedAt, finishedAt, total, checked, urls, error }
+const imageCheckJobs = new Map();
+
+function isBrokenImage(check){ return !!check && (!!check.error || check.status >= 400); }
+
+/**
+ * The same image whatever a feed's prefer_host / img_* options made of its URL: a Shopify CDN image
+ * (cdn.shopify.com or /cdn/shop/) keys on its file path from /products/ or /files/, without query.
+ */
+function imageCheckKey(shop, url){
+  try{
+    const u=new URL(url);
+    if(u.hostname==="cdn.shopify.com" || u.pathname.startsWith("/cdn/shop/")){
+      const at=Math.max(u.pathname.lastIndexOf("/products/"), u.pathname.lastIndexOf("/files/"));
+      if(at!==-1) return `${shop}|cdn:${u.pathname.slice(at)}`;
+    }
+  }catch{}
+  return `${shop}|${url}`;
+}
+
+/** HEAD one image without following redirects, so a 301 through /cdn/shop shows up as such */
+async function checkImage(url){
+  try{
+    const resp = await timedFetch(url, { method:"HEAD", redirect:"manual" });
+    return { url, status: resp.status, location: resp.headers.get("location") || null,
+      contentType: resp.headers.get("content-type") || null, error: null, checkedAt: new Date().toISOString() };
+  }catch(e){
+    return { url, status: null, location: null, contentType: null, error: e.name === "AbortError" ? "timeout" : e.message, checkedAt: new Date().toISOString() };
+  }
+}
+
+/**
+ * Collect every image:loc the index's pages emit for `host`, then HEAD them TRANS_CONCURRENCY at a time.
+ * Cached feeds built with drop_broken are purged afterwards so they pick up the new results.
+ */
+async function runImageCheck(job, { tenant, host, perPage, types, image }){
+  try{
+    const urls = new Set();
+    for await (const { body } of imageFeedPages({ tenant, host, perPage, types, locale: "", image })) {
+      for (const m of body.matchAll(/<image:loc>([^<]*)<\/image:loc>/g)) urls.add(m[1].replace(/&amp;/g, "&"));
+    }
+    job.urls = [...urls]; job.total = job.urls.length;
+    await pMap(job.urls, TRANS_CONCURRENCY, async url => { imageChecks.set(imageCheckKey(tenant.shop, url), await checkImage(url)); job.checked++; });
+    for (const key of await responseCache.keys()) {
+      const k = parseCacheKey(key);
+      if (k.route === "image.xml" && k.shop === tenant.shop && k.host === host && k.dropBroken === "true") await responseCache.delete(key);
+    }
+    job.state = "done";
+  }catch(e){
+    console.error(e);
+    job.state = "failed"; job.error = e.message;
+  }finally{
+    job.finishedAt = new Date().toISOString();
+  }
+}
+
+/** Host and tenant for /admin/images/*: ?host= (or the request host), ?shop= to pick the tenant */
+function imageCheckTarget(req, res){
+  const host = stripPort(String(req.query.host || req.get("x-forwarded-host") || req.get("host") || "")).toLowerCase();
+  const tenant = req.query.shop ? tenantFor(req) : tenantForHost(host);
+  if (!tenant) { res.status(404).type("text/plain").send(`Unknown shop: no tenant configured for host "${host}"`); return null; }
+  return { host, tenant, key: cacheKey({ shop: tenant.shop, host }) };
+}
+
+function imageCheckSummary(job){
+  const { urls, ...rest } = job;
+  return rest;
+}
+
+app.post("/admin/images/check", async (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const target = imageCheckTarget(req, res); if (!target) return;
+  const running = imageCheckJobs.get(target.key);
+  if (running?.state === "running") return res.status(409).json(imageCheckSummary(running));
+  const job = { state: "running", host: target.host, shop: target.tenant.shop, startedAt: new Date().toISOString(), finishedAt: null, total: 0, checked: 0, urls: [], error: null };
+  imageCheckJobs.set(target.key, job);
+  const perPage = Math.min(Math.max(parseInt(req.query.per_page || String(DEFAULT_PER_PAGE), 10), 1), MAX_URLS_PER_FEED);
+  const types = req.query.types ? String(req.query.types).split(",").map(s => s.trim()).filter(Boolean) : INDEX_TYPES;
+  runImageCheck(job, { ...target, perPage, types, image: imageOptionsFor(req.query, target.host) });
+  res.status(202).json(imageCheckSummary(job));
+});
+
+/** Latest check for a host; ?status=broken|redirect|ok narrows the per-image list */
+app.get("/admin/images/report", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const target = imageCheckTarget(req, res); if (!target) return;
+  const job = imageCheckJobs.get(target.key);
+  if (!job) return res.status(404).json({ error: "No image check has run for this host; POST /admin/images/check first" });
+  const kind = c => isBrokenImage(c) ? "broken" : (c.status >= 300 ? "redirect" : "ok");
+  const images = job.urls.map(url => imageChecks.get(imageCheckKey(target.tenant.shop, url))).filter(Boolean);
+  const counts = images.reduce((n, c) => (n[kind(c)]++, n), { ok: 0, redirect: 0, broken: 0 });
+  const wanted = req.query.status ? images.filter(c => kind(c) === String(req.query.status)) : images;
+  res.json({ ...imageCheckSummary(job), counts, images: wanted });
+});
+
+// Recent GraphQL calls (optionally ?shop= / ?api=sf|admin / ?errors=1), Admin cost buckets and API breakers
+app.get("/admin/graphql-calls", (req, res) => {
+  if (!ensureAdmin(req, res)) return;
+  const { shop, api } = req.query;
+  const calls = graphqlCalls.filter(c =>
+    (!shop || c.shop === shop) && (!api || c.api === api) && (String(req.query.errors || "0") !== "1" || c.error));
+  const buckets = Object.fromEntries([...adminCostBuckets].map(([s, b]) =>
+    [s, { ...b, estimatedAvailable: Math.floor(bucketAvailable(b)), at: new Date(b.at).toISOString() }]));
+  const breakerState = Object.fromEntries([...breakers].map(([k, b]) =>
+    [k, { ...b, open: b.openUntil > Date.now(), openUntil: b.openUntil ? new Date(b.openUntil).toISOString() : null }]));
+  res.json({ retries: GRAPHQL_MAX_RETRIES, retryBaseMs: GRAPHQL_RETRY_BASE_MS, buckets, breakers: breakerState, queryCosts: Object.fromEntries(queryCosts), calls: calls.slice().reverse() });
+});
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from(String(req.get("authorization") || "").replace(/^Bearer\s+/i, "") || String(req.query.token || ""));
+    const want = Buffer.from(METRICS_TOKEN);
+    if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return res.status(403).type("text/plain").send("Forbidden");
+  }
+  res.type("text/plain; version=0.0.4").send(metricsText());
+});
 app.get("/health",(_req,res)=>res.type("text/plain").send("ok"));
 app.get("/",(_req,res)=>res.type("text/plain").send("Image Sitemap Proxy (hybrid) running."));
 
@@ -484,4 +3064,13 @@ app.use((err, _req, res, _next) => {
 });
 
 const port=process.env.PORT||3000;
-app.listen(port,()=>console.log(`Image sitemap proxy (hybrid) on :${port}`));
+if(process.argv[2]==="export"){
+  exportCli(process.argv.slice(3))
+    .then(code=>process.exit(code))
+    .catch(e=>{ console.error("[export]", e); process.exit(1); });
+}else app.listen(port,()=>{
+  console.log(`Image sitemap proxy (hybrid) on :${port}`);
+  if(PREWARM_INTERVAL_SECONDS){
+    runPrewarm().catch(e=>console.error("[prewarm]", e)).finally(schedulePrewarm);
+  }
+});